@@ -0,0 +1,152 @@
+/**
+ * Public API for other modules, game systems and macros.
+ *
+ * Exposed as `game.modules.get('window-maximizer').api` from the `init` hook,
+ * so it can be used from `setup`/`ready` hooks of other packages.
+ *
+ * @example
+ * // Register a system-specific arrangement
+ * Hooks.once('ready', () => {
+ *     const api = game.modules.get('window-maximizer')?.api;
+ *     api?.registerLayout({
+ *         id: 'my-system-sheet-spellbook',
+ *         label: 'Sheet + Spellbook',
+ *         cols: 2,
+ *         rows: 1,
+ *         colWeights: [3, 2],
+ *         zones: [
+ *             { id: 'sheet', col: 0, row: 0 },
+ *             { id: 'spellbook', col: 1, row: 0 }
+ *         ]
+ *     });
+ * });
+ *
+ * @example
+ * // React to changes of the layout set
+ * Hooks.on('windowMaximizer.layoutsChanged', ({ source, action, layoutId }) => { ... });
+ *
+ * @example
+ * // Macro: switch to the "Combat" workspace
+ * await game.modules.get('window-maximizer').api.applyWorkspace('Combat');
+ */
+
+import { layoutRegistry } from './layout-registry.js';
+import { parseLayoutSpec } from './layout-parser.js';
+import { buildExportData, validateImportData, applyImportData } from './config-transfer.js';
+import { getWorkspaces, saveWorkspace, applyWorkspace } from './workspaces.js';
+
+/**
+ * Get the layouter or fail with a clear message
+ * @param {() => (import('./snap-layouter.js').SnapLayouter|undefined)} getLayouter
+ * @returns {import('./snap-layouter.js').SnapLayouter}
+ */
+function requireLayouter(getLayouter) {
+    const layouter = getLayouter();
+    if (!layouter) throw new Error('Window Maximizer | Not ready yet - wait for the ready hook');
+    return layouter;
+}
+
+/**
+ * Create the public API object
+ * @param {Object} options
+ * @param {() => (import('./snap-layouter.js').SnapLayouter|undefined)} options.getLayouter -
+ *   Returns the layouter once it exists (it is created in the `ready` hook)
+ * @returns {Object}
+ */
+export function createModuleApi({ getLayouter }) {
+    return {
+        /**
+         * Register a layout. Registering an existing id replaces that layout.
+         * Use an id prefixed with your package id to avoid collisions; ids that
+         * clash with a built-in layout are ignored by the snap bar.
+         * Optional `minWidth` / `minHeight` (pixels) set the default layout area size
+         * below which the layout is not offered; users can override them.
+         * A zone may carry its own `layout` ({cols, rows, zones, ...}) to subdivide
+         * it; nested zones are addressed by paths such as "right/top".
+         * @param {Object} layout - {id, label, cols, rows, colWeights?, rowWeights?, minWidth?, minHeight?, zones}
+         * @returns {Object} - A copy of the registered layout
+         * @throws {Error} If the layout definition is invalid
+         */
+        registerLayout: (layout) => layoutRegistry.register(layout),
+
+        /**
+         * Parse a layout description written in the layout mini-language
+         * into a layout structure (without id and label).
+         * @example
+         * api.registerLayout({ id: 'my-module-wide', label: 'Wide', ...api.parseLayout('2fr 1fr | 1fr 1fr') });
+         * @param {string} spec - e.g. "2fr 1fr | 1fr 1fr" or "cols:1,2,1;rows:2"
+         * @returns {{cols: number, rows: number, colWeights?: number[], rowWeights?: number[], zones: Array<Object>}}
+         * @throws {LayoutSyntaxError} With `position` (0-based) and `reason` of the first problem
+         */
+        parseLayout: (spec) => parseLayoutSpec(spec),
+
+        /**
+         * Remove a layout previously added with registerLayout()
+         * @param {string} layoutId
+         * @returns {boolean} - True if a layout was removed
+         */
+        unregisterLayout: (layoutId) => layoutRegistry.unregister(layoutId),
+
+        /**
+         * List the layouts registered through the API
+         * @returns {Array<Object>}
+         */
+        getRegisteredLayouts: () => layoutRegistry.getAll(),
+
+        /**
+         * List all layouts currently offered in the snap bar
+         * (built-in, registered and user-defined) for this screen size
+         * @returns {Array<Object>}
+         */
+        getAvailableLayouts: () => foundry.utils.deepClone(getLayouter()?.layouts ?? []),
+
+        /**
+         * Export custom layouts and portable settings in the same format as
+         * the Import / Export settings menu
+         * @returns {Object}
+         */
+        exportConfig: () => buildExportData(),
+
+        /**
+         * Validate an exported configuration without applying it
+         * @param {Object} data
+         * @returns {string[]} - Error messages with their JSON path (empty if valid)
+         */
+        validateConfig: (data) => validateImportData(data),
+
+        /**
+         * Import a configuration produced by exportConfig()
+         * @param {Object} data
+         * @param {Object} [options]
+         * @param {'merge'|'replace'} [options.mode='merge'] - How to combine custom layouts
+         * @returns {Promise<{layouts: number, settings: number}>}
+         * @throws {Error} If the data is invalid; nothing is applied in that case
+         */
+        importConfig: (data, options) => applyImportData(data, options),
+
+        /**
+         * List the saved workspaces
+         * @returns {Array<{id: string, name: string, savedAt: number, windows: Array<Object>}>}
+         */
+        getWorkspaces: () => foundry.utils.deepClone(getWorkspaces()),
+
+        /**
+         * Save the arrangement of the open document windows as a workspace
+         * @param {string} name
+         * @param {Object} [options]
+         * @param {string} [options.id] - Overwrite this workspace instead of adding one
+         * @returns {Promise<Object>} - The saved workspace
+         * @throws {Error} If called before `ready`, the name is empty or the id unknown
+         */
+        saveWorkspace: (name, options) => saveWorkspace(requireLayouter(getLayouter), name, options),
+
+        /**
+         * Restore a workspace, reopening its windows that are closed
+         * @param {string} idOrName - Workspace id, or its name
+         * @returns {Promise<{arranged: number, reopened: number, skipped: number, total: number}|null>} -
+         *   null if there is no such workspace
+         * @throws {Error} If called before `ready`
+         */
+        applyWorkspace: (idOrName) => applyWorkspace(requireLayouter(getLayouter), idOrName)
+    };
+}
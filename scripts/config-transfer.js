@@ -0,0 +1,333 @@
+/**
+ * Import and export of layouts and module configuration as JSON.
+ *
+ * Export file shape:
+ *   {
+ *     type: 'window-maximizer-config',
+ *     version: 1,
+ *     exportedAt: '2026-01-01T00:00:00.000Z',
+ *     layouts: [ ...custom layout definitions ],
+ *     settings: { zoneGap: 8, layoutVisibility: {...}, ... }
+ *   }
+ *
+ * Both `layouts` and `settings` are optional on import, so a file containing
+ * only a few layouts can be shared as well. Imports are validated in full
+ * before anything is written; every problem is reported with its JSON path.
+ */
+
+import { MODULE_ID, PORTABLE_SETTINGS, getSetting } from './settings.js';
+import { validateLayout } from './layout-schema.js';
+import { LAYOUT_VISIBILITY_MODES } from './layout-catalog.js';
+import { parseLayoutList } from './layout-parser.js';
+
+const { ApplicationV2, DialogV2 } = foundry.applications.api;
+
+export const EXPORT_TYPE = 'window-maximizer-config';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Build the export payload from the current client configuration
+ * @returns {Object}
+ */
+export function buildExportData() {
+    const settings = {};
+    for (const key of PORTABLE_SETTINGS) {
+        const value = getSetting(key);
+        if (value !== undefined) settings[key] = foundry.utils.deepClone(value);
+    }
+
+    return {
+        type: EXPORT_TYPE,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        layouts: foundry.utils.deepClone(getSetting('customLayouts', [])),
+        settings
+    };
+}
+
+/**
+ * Validate a value for one of the portable settings against its registration
+ * @param {string} key - Setting key
+ * @param {*} value - Value from the import file
+ * @returns {string|null} - Error message, or null if the value is acceptable
+ */
+function validateSettingValue(key, value) {
+    const config = game.settings.settings.get(`${MODULE_ID}.${key}`);
+    if (!config) return 'is not a known setting';
+
+    if (key === 'layoutVisibility') return validateVisibilityValue(value);
+    if (key === 'quickLayouts') {
+        if (typeof value !== 'string') return 'must be a string';
+        const { errors } = parseLayoutList(value);
+        return errors.length > 0 ? errors[0].message : null;
+    }
+
+    switch (config.type) {
+        case Boolean:
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case Number:
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if (config.range && (value < config.range.min || value > config.range.max)) {
+                return `must be between ${config.range.min} and ${config.range.max}`;
+            }
+            return null;
+        case String:
+            if (typeof value !== 'string') return 'must be a string';
+            if (config.choices && !(value in config.choices)) {
+                return `must be one of: ${Object.keys(config.choices).join(', ')}`;
+            }
+            return null;
+        case Array:
+            return Array.isArray(value) ? null : 'must be an array';
+        case Object:
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate the per-layout visibility overrides
+ * @param {*} value
+ * @returns {string|null}
+ */
+function validateVisibilityValue(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+    for (const [layoutId, entry] of Object.entries(value)) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return `.${layoutId} must be an object`;
+        }
+        if (entry.mode !== undefined && !(entry.mode in LAYOUT_VISIBILITY_MODES)) {
+            return `.${layoutId}.mode must be one of: ${Object.keys(LAYOUT_VISIBILITY_MODES).join(', ')}`;
+        }
+        for (const key of ['minWidth', 'minHeight']) {
+            const v = entry[key];
+            if (v !== undefined && (typeof v !== 'number' || !Number.isFinite(v) || v < 0)) {
+                return `.${layoutId}.${key} must be a non-negative number`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate an import payload
+ * @param {*} data - Parsed JSON
+ * @returns {string[]} - Error messages prefixed with their JSON path (empty if valid)
+ */
+export function validateImportData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['File must contain a JSON object'];
+    }
+
+    const errors = [];
+    if (data.type !== EXPORT_TYPE) {
+        errors.push(`type: expected "${EXPORT_TYPE}"`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        errors.push('version: must be a positive integer');
+    } else if (data.version > EXPORT_VERSION) {
+        errors.push(`version: file version ${data.version} is newer than supported (${EXPORT_VERSION}) - update Window Maximizer`);
+    }
+    if (data.layouts === undefined && data.settings === undefined) {
+        errors.push('File contains neither "layouts" nor "settings"');
+    }
+
+    if (data.layouts !== undefined) {
+        if (!Array.isArray(data.layouts)) {
+            errors.push('layouts: must be an array');
+        } else {
+            const ids = new Set();
+            data.layouts.forEach((layout, index) => {
+                if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+                    errors.push(`layouts[${index}]: must be an object`);
+                    return;
+                }
+                for (const error of validateLayout(layout)) {
+                    errors.push(`layouts[${index}].${error}`);
+                }
+                if (typeof layout?.id === 'string') {
+                    if (ids.has(layout.id)) errors.push(`layouts[${index}].id: duplicate layout id "${layout.id}"`);
+                    ids.add(layout.id);
+                }
+            });
+        }
+    }
+
+    if (data.settings !== undefined) {
+        if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+            errors.push('settings: must be an object');
+        } else {
+            for (const [key, value] of Object.entries(data.settings)) {
+                if (!PORTABLE_SETTINGS.includes(key)) {
+                    errors.push(`settings.${key}: cannot be imported`);
+                    continue;
+                }
+                const error = validateSettingValue(key, value);
+                if (error) errors.push(`settings.${key}${error.startsWith('.') ? '' : ': '}${error}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Apply a validated import payload
+ * @param {Object} data - Payload that passed validateImportData()
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode='merge'] - Merge keeps existing custom layouts
+ *   (imported ids overwrite them), replace discards them first
+ * @returns {Promise<{layouts: number, settings: number}>} - Counts of imported entries
+ */
+export async function applyImportData(data, { mode = 'merge' } = {}) {
+    const errors = validateImportData(data);
+    if (errors.length > 0) {
+        throw new Error(`Window Maximizer | Invalid import: ${errors.join('; ')}`);
+    }
+
+    let settingsCount = 0;
+    for (const [key, value] of Object.entries(data.settings ?? {})) {
+        await game.settings.set(MODULE_ID, key, value);
+        settingsCount++;
+    }
+
+    const imported = data.layouts ?? [];
+    if (imported.length > 0 || mode === 'replace') {
+        const existing = mode === 'replace' ? [] : getSetting('customLayouts', []);
+        const importedIds = new Set(imported.map(l => l.id));
+        const layouts = [
+            ...existing.filter(l => !importedIds.has(l.id)),
+            ...foundry.utils.deepClone(imported)
+        ];
+        await game.settings.set(MODULE_ID, 'customLayouts', layouts);
+    }
+
+    return { layouts: imported.length, settings: settingsCount };
+}
+
+/**
+ * Parse the text of an import file
+ * @param {string} text
+ * @returns {{data: Object|null, errors: string[]}}
+ */
+export function parseImportText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { data: null, errors: [`File is not valid JSON: ${error.message}`] };
+    }
+    const errors = validateImportData(data);
+    return { data: errors.length === 0 ? data : null, errors };
+}
+
+export class ConfigTransfer extends ApplicationV2 {
+    constructor(options = {}) {
+        super(options);
+        /** @type {string[]} Errors from the last import attempt */
+        this.errors = [];
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: 'window-maximizer-config-transfer',
+        classes: ['window-maximizer-config-transfer'],
+        window: {
+            title: 'Window Maximizer: Import / Export',
+            icon: 'fas fa-file-export'
+        },
+        position: {
+            width: 460,
+            height: 'auto'
+        },
+        actions: {
+            exportConfig: ConfigTransfer.#onExportConfig,
+            importConfig: ConfigTransfer.#onImportConfig
+        }
+    };
+
+    /** @override */
+    async _renderHTML(context, options) {
+        const root = document.createElement('div');
+        root.className = 'wm-transfer';
+        root.innerHTML = `
+            <fieldset>
+                <legend>Export</legend>
+                <p class="hint">Saves your custom layouts, layout visibility, work area, spacing and behaviour settings to a JSON file.</p>
+                <button type="button" data-action="exportConfig"><i class="fas fa-file-export"></i> Export to JSON</button>
+            </fieldset>
+            <fieldset>
+                <legend>Import</legend>
+                <input type="file" name="file" accept=".json,application/json">
+                <label>Custom layouts
+                    <select name="mode">
+                        <option value="merge">Merge with my layouts</option>
+                        <option value="replace">Replace my layouts</option>
+                    </select>
+                </label>
+                <button type="button" data-action="importConfig"><i class="fas fa-file-import"></i> Import</button>
+            </fieldset>`;
+
+        if (this.errors.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'wm-transfer-errors';
+            for (const error of this.errors) {
+                const item = document.createElement('li');
+                item.textContent = error;
+                list.appendChild(item);
+            }
+            root.appendChild(list);
+        }
+
+        return root;
+    }
+
+    /** @override */
+    _replaceHTML(result, content, options) {
+        content.replaceChildren(result);
+    }
+
+    /**
+     * Download the current configuration
+     * @this {ConfigTransfer}
+     */
+    static #onExportConfig(event, target) {
+        const saveFile = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+        const data = buildExportData();
+        saveFile(JSON.stringify(data, null, 2), 'application/json', `window-maximizer-${data.exportedAt.slice(0, 10)}.json`);
+    }
+
+    /**
+     * Validate and apply the selected file
+     * @this {ConfigTransfer}
+     */
+    static async #onImportConfig(event, target) {
+        const file = this.element.querySelector('input[name="file"]')?.files?.[0];
+        const mode = this.element.querySelector('select[name="mode"]')?.value ?? 'merge';
+        if (!file) {
+            ui.notifications.warn('Window Maximizer | Choose a JSON file to import');
+            return;
+        }
+
+        const readText = foundry.utils.readTextFromFile ?? globalThis.readTextFromFile;
+        const { data, errors } = parseImportText(await readText(file));
+        this.errors = errors;
+        if (!data) {
+            ui.notifications.error(`Window Maximizer | Import failed: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+            this.render();
+            return;
+        }
+
+        if (mode === 'replace') {
+            const confirmed = await DialogV2.confirm({
+                window: { title: 'Replace Layouts' },
+                content: '<p>Replace all of your custom layouts with the imported ones?</p>'
+            });
+            if (!confirmed) return;
+        }
+
+        const result = await applyImportData(data, { mode });
+        ui.notifications.info(`Window Maximizer | Imported ${result.layouts} layout(s) and ${result.settings} setting(s)`);
+        this.render();
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * Drop choice - what happens when a window is dropped onto a zone that
+ * already holds another snapped window. The `occupiedZonePolicy` setting
+ * picks one of DROP_CHOICES, or 'ask' to show a small prompt at the cursor.
+ * Escape or a click elsewhere dismisses the prompt and leaves the dropped
+ * window where it was released.
+ */
+
+/**
+ * Actions for the windows already in the zone, in display order
+ * @type {Record<string, {label: string, icon: string}>}
+ */
+export const DROP_CHOICES = {
+    swap: { label: 'Swap', icon: 'fas fa-right-left' },
+    push: { label: 'Push aside', icon: 'fas fa-arrows-left-right-to-line' },
+    restore: { label: 'Send back', icon: 'fas fa-rotate-left' },
+    stack: { label: 'Stack', icon: 'fas fa-layer-group' }
+};
+
+/**
+ * Choices of the occupiedZonePolicy setting
+ * @type {Record<string, string>}
+ */
+export const OCCUPIED_ZONE_POLICIES = {
+    ask: 'Ask every time',
+    swap: 'Swap: move it into the zone the dropped window came from',
+    push: 'Push: move it to the nearest free zone',
+    restore: 'Send back: restore its original position',
+    stack: 'Stack: leave it underneath'
+};
+
+export class DropChoice {
+    /**
+     * @param {import('./snap-layouter.js').SnapLayouter} layouter
+     */
+    constructor(layouter) {
+        this.layouter = layouter;
+        /** @type {HTMLElement|null} The prompt while it is open */
+        this.element = null;
+        /** @type {Function|null} Resolves the pending ask() */
+        this.resolve = null;
+        /** @type {HTMLElement|null} Element that had focus before the prompt opened */
+        this.returnFocus = null;
+
+        layouter.addTrackedListener(document, 'keydown', (e) => {
+            if (e.key !== 'Escape' || !this.element) return;
+            // Foundry would otherwise close the active window as well
+            e.stopPropagation();
+            this.dismiss();
+        });
+        layouter.addTrackedListener(document, 'pointerdown', (e) => {
+            if (this.element && !this.element.contains(e.target)) this.dismiss();
+        }, true);
+    }
+
+    /**
+     * Ask what to do with a drop onto an occupied zone
+     * @param {Object} options
+     * @param {number} options.x - Cursor X of the drop
+     * @param {number} options.y - Cursor Y of the drop
+     * @param {string} options.occupant - Title of the window(s) already in the zone
+     * @param {string[]} [options.choices] - Keys of DROP_CHOICES to offer
+     * @returns {Promise<string|null>} - The chosen key, or null if dismissed
+     */
+    ask({ x, y, occupant, choices = Object.keys(DROP_CHOICES) }) {
+        this.dismiss();
+
+        this.element = document.createElement('div');
+        this.element.id = 'window-maximizer-drop-choice';
+        this.element.setAttribute('role', 'alertdialog');
+        this.element.setAttribute('aria-labelledby', 'window-maximizer-drop-choice-label');
+
+        const heading = document.createElement('p');
+        heading.id = 'window-maximizer-drop-choice-label';
+        heading.textContent = `${occupant} is already here`;
+        this.element.appendChild(heading);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'wm-drop-choice-buttons';
+        for (const key of choices) {
+            const choice = DROP_CHOICES[key];
+            if (!choice) continue;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.choice = key;
+            button.innerHTML = `<i class="${choice.icon}"></i> ${choice.label}`;
+            button.addEventListener('click', () => this.dismiss(key));
+            buttons.appendChild(button);
+        }
+        this.element.appendChild(buttons);
+        document.body.appendChild(this.element);
+
+        // Next to the cursor, kept on screen
+        const margin = 6;
+        const { width, height } = this.element.getBoundingClientRect();
+        this.element.style.left = `${Math.round(Math.max(margin, Math.min(x + margin, window.innerWidth - width - margin)))}px`;
+        this.element.style.top = `${Math.round(Math.max(margin, Math.min(y + margin, window.innerHeight - height - margin)))}px`;
+
+        this.returnFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+        buttons.querySelector('button')?.focus();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Close the prompt, settling the pending ask()
+     * @param {string|null} [choice=null] - The chosen key
+     */
+    dismiss(choice = null) {
+        if (!this.element) return;
+        const hadFocus = this.element.contains(document.activeElement);
+        this.element.remove();
+        this.element = null;
+        if (hadFocus && this.returnFocus?.isConnected) this.returnFocus.focus();
+        this.returnFocus = null;
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve?.(choice);
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Aero-style edge snapping: dragging a window against the left or right
+ * screen edge snaps it to that half, dragging it into a corner snaps it to
+ * that quarter. The top edge stays reserved for the layout overlay.
+ *
+ * The targets are zones of EDGE_SNAP_LAYOUT, so they go through the same
+ * calculateZoneRect() / registry path as zones picked in the overlay and
+ * follow the work area, canvas reservation and spacing settings.
+ */
+
+import { EDGE_SNAP_LAYOUT_ID } from './layout-ids.js';
+
+// Distance (px) from the left/right screen edge that triggers edge snapping
+export const EDGE_SNAP_THRESHOLD = 8;
+
+// Distance (px) from the top/bottom screen edge at which an edge snap becomes a corner snap
+export const CORNER_SNAP_SIZE = 120;
+
+/**
+ * Layout behind the edge snap targets. Halves and quarters overlap, which is
+ * fine here: this layout is never drawn or validated, only used to resolve
+ * zone rects.
+ * @type {Object}
+ */
+export const EDGE_SNAP_LAYOUT = {
+    id: EDGE_SNAP_LAYOUT_ID,
+    label: 'Edge Snap',
+    cols: 2,
+    rows: 2,
+    zones: [
+        { id: 'left', col: 0, row: 0, rowSpan: 2 },
+        { id: 'right', col: 1, row: 0, rowSpan: 2 },
+        { id: 'top-left', col: 0, row: 0 },
+        { id: 'top-right', col: 1, row: 0 },
+        { id: 'bottom-left', col: 0, row: 1 },
+        { id: 'bottom-right', col: 1, row: 1 }
+    ]
+};
+
+/**
+ * Find the edge snap zone for a cursor position
+ * @param {number} x - Cursor X (client coordinates)
+ * @param {number} y - Cursor Y (client coordinates)
+ * @param {{x: number, y: number, w: number, h: number}} viewport - Screen rect
+ * @param {Object} [options]
+ * @param {number} [options.threshold=EDGE_SNAP_THRESHOLD] - Edge distance in pixels
+ * @param {number} [options.cornerSize=CORNER_SNAP_SIZE] - Corner height in pixels
+ * @returns {string|null} - Zone id of EDGE_SNAP_LAYOUT, or null if the cursor is not at an edge
+ */
+export function findEdgeSnapZone(x, y, viewport, { threshold = EDGE_SNAP_THRESHOLD, cornerSize = CORNER_SNAP_SIZE } = {}) {
+    let side = null;
+    if (x <= viewport.x + threshold) side = 'left';
+    else if (x >= viewport.x + viewport.w - threshold) side = 'right';
+    if (!side) return null;
+
+    if (y <= viewport.y + cornerSize) return `top-${side}`;
+    if (y >= viewport.y + viewport.h - cornerSize) return `bottom-${side}`;
+    return side;
+}
@@ -0,0 +1,310 @@
+/**
+ * Ad-hoc grid selection (Divvy style): a fine grid over the layout area where
+ * dragging across cells selects any rectangle, and the window snaps to
+ * exactly that area.
+ *
+ * A selection is stored as a synthetic zone of the GRID_LAYOUT_ID layout. The
+ * zone id carries the grid size and the selected block ("6x4:1,0:3x2" is
+ * columns 1-3 and rows 0-1 of a 6x4 grid), so getGridZoneLayout() can turn
+ * any recorded id back into a one-zone layout for calculateZoneRect(). That
+ * keeps registry, refresh and restore working as for regular zones, even
+ * after the grid size setting changed.
+ */
+
+import { getSetting } from './settings.js';
+import { getTrackTemplate } from './layout-geometry.js';
+import { GRID_LAYOUT_ID } from './layout-ids.js';
+
+export { GRID_LAYOUT_ID };
+
+export const DEFAULT_GRID_COLUMNS = 6;
+export const DEFAULT_GRID_ROWS = 4;
+
+const GRID_ZONE_PATTERN = /^(\d+)x(\d+):(\d+),(\d+):(\d+)x(\d+)$/;
+
+/**
+ * Build the synthetic zone id of a grid selection
+ * @param {{cols: number, rows: number, col: number, row: number, colSpan: number, rowSpan: number}} selection
+ * @returns {string}
+ */
+export function formatGridZoneId({ cols, rows, col, row, colSpan, rowSpan }) {
+    return `${cols}x${rows}:${col},${row}:${colSpan}x${rowSpan}`;
+}
+
+/**
+ * Parse a synthetic grid zone id
+ * @param {string} zoneId
+ * @returns {{cols: number, rows: number, col: number, row: number, colSpan: number, rowSpan: number}|null} -
+ *   null if the id is malformed or the block does not fit the grid
+ */
+export function parseGridZoneId(zoneId) {
+    const match = GRID_ZONE_PATTERN.exec(zoneId ?? '');
+    if (!match) return null;
+    const [cols, rows, col, row, colSpan, rowSpan] = match.slice(1).map(Number);
+    if (cols < 1 || rows < 1 || colSpan < 1 || rowSpan < 1) return null;
+    if (col + colSpan > cols || row + rowSpan > rows) return null;
+    return { cols, rows, col, row, colSpan, rowSpan };
+}
+
+/**
+ * Turn a grid zone id into a layout with that single zone
+ * @param {string} zoneId
+ * @returns {Object|null}
+ */
+export function getGridZoneLayout(zoneId) {
+    const selection = parseGridZoneId(zoneId);
+    if (!selection) return null;
+    const { cols, rows, col, row, colSpan, rowSpan } = selection;
+    return {
+        id: GRID_LAYOUT_ID,
+        label: 'Custom Grid',
+        cols,
+        rows,
+        zones: [{ id: zoneId, col, row, colSpan, rowSpan }]
+    };
+}
+
+/**
+ * Describe a grid zone for screen readers and announcements
+ * @param {string} zoneId
+ * @returns {string} - e.g. "custom area, 3 by 2 cells of a 6 by 4 grid"
+ */
+export function describeGridZone(zoneId) {
+    const selection = parseGridZoneId(zoneId);
+    if (!selection) return 'custom area';
+    const { cols, rows, colSpan, rowSpan } = selection;
+    return `custom area, ${colSpan} by ${rowSpan} cells of a ${cols} by ${rows} grid`;
+}
+
+/**
+ * Read the grid size from the client settings
+ * @returns {{cols: number, rows: number}}
+ */
+export function getGridSize() {
+    const size = (key, fallback) => {
+        const value = Number(getSetting(key, fallback));
+        return Number.isInteger(value) && value >= 1 ? value : fallback;
+    };
+    return {
+        cols: size('gridPickerColumns', DEFAULT_GRID_COLUMNS),
+        rows: size('gridPickerRows', DEFAULT_GRID_ROWS)
+    };
+}
+
+export class GridPicker {
+    /**
+     * @param {import('./snap-layouter.js').SnapLayouter} layouter
+     */
+    constructor(layouter) {
+        this.layouter = layouter;
+        /** @type {HTMLElement|null} The picker panel while it is open */
+        this.element = null;
+        /** @type {Application|ApplicationV2|null} Window being placed */
+        this.app = null;
+        /** @type {{cols: number, rows: number}} Grid size of the open picker */
+        this.size = getGridSize();
+        /** @type {{col: number, row: number}|null} Cell the selection started at */
+        this.anchor = null;
+        /** @type {{col: number, row: number}|null} Cell the selection currently ends at */
+        this.focus = null;
+        /** @type {boolean} True while the pointer is dragging out a selection */
+        this.selecting = false;
+        /** @type {HTMLElement|null} Element that had focus before the picker opened */
+        this.returnFocus = null;
+
+        layouter.addTrackedListener(document, 'keydown', (e) => {
+            if (this.element) this.onKeydown(e);
+        });
+        layouter.addTrackedListener(document, 'pointerdown', (e) => {
+            if (this.element && !this.element.contains(e.target)) this.close();
+        }, true);
+        layouter.addTrackedListener(document, 'pointermove', (e) => {
+            if (!this.selecting) return;
+            const cell = this.cellAt(e.clientX, e.clientY);
+            if (cell) this.select(this.anchor, cell);
+        }, { passive: true });
+        layouter.addTrackedListener(document, 'pointerup', (e) => {
+            if (!this.selecting) return;
+            this.selecting = false;
+            this.commit();
+        });
+    }
+
+    /**
+     * Open the picker for a window
+     * @param {Application|ApplicationV2} app
+     */
+    open(app) {
+        this.close();
+        if (!app || typeof app.setPosition !== 'function') return;
+
+        this.app = app;
+        this.size = getGridSize();
+        this.returnFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+        this.render();
+        // Start on the top-left cell so arrow keys work right away
+        this.select({ col: 0, row: 0 }, { col: 0, row: 0 });
+        this.element.querySelector('.wm-grid').focus();
+        this.layouter.announce(`Custom grid for ${app.title || app.constructor.name}. Drag across the cells, or use the arrow keys and hold Shift to extend, then press Enter.`);
+    }
+
+    /**
+     * Build the picker panel, shaped like the layout area
+     */
+    render() {
+        const { cols, rows } = this.size;
+        const area = this.layouter.getLayoutArea();
+
+        this.element = document.createElement('div');
+        this.element.id = 'window-maximizer-grid-picker';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'Custom grid');
+
+        const heading = document.createElement('p');
+        heading.textContent = 'Drag across the grid to choose an area';
+        this.element.appendChild(heading);
+
+        const grid = document.createElement('div');
+        grid.className = 'wm-grid';
+        grid.tabIndex = 0;
+        grid.setAttribute('role', 'application');
+        grid.setAttribute('aria-label', `${cols} by ${rows} grid`);
+        grid.style.gridTemplateColumns = getTrackTemplate(undefined, cols);
+        grid.style.gridTemplateRows = getTrackTemplate(undefined, rows);
+        grid.style.aspectRatio = `${area.w} / ${area.h}`;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cell = document.createElement('div');
+                cell.className = 'wm-grid-cell';
+                cell.style.gridColumn = `${col + 1}`;
+                cell.style.gridRow = `${row + 1}`;
+                grid.appendChild(cell);
+            }
+        }
+        const selection = document.createElement('div');
+        selection.className = 'wm-grid-selection';
+        grid.appendChild(selection);
+
+        grid.addEventListener('pointerdown', (e) => {
+            const cell = this.cellAt(e.clientX, e.clientY);
+            if (!cell) return;
+            e.preventDefault();
+            this.selecting = true;
+            this.select(cell, cell);
+        });
+
+        this.element.appendChild(grid);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Find the grid cell under a point. Computed from the grid bounds rather
+     * than the event target so touch drags (with pointer capture) work too.
+     * @param {number} x
+     * @param {number} y
+     * @returns {{col: number, row: number}|null}
+     */
+    cellAt(x, y) {
+        const bounds = this.element?.querySelector('.wm-grid')?.getBoundingClientRect();
+        if (!bounds?.width || !bounds?.height) return null;
+        const { cols, rows } = this.size;
+        const clamp = (value, max) => Math.max(0, Math.min(max - 1, value));
+        return {
+            col: clamp(Math.floor(((x - bounds.left) / bounds.width) * cols), cols),
+            row: clamp(Math.floor(((y - bounds.top) / bounds.height) * rows), rows)
+        };
+    }
+
+    /**
+     * Get the current selection as a block of cells
+     * @returns {{cols: number, rows: number, col: number, row: number, colSpan: number, rowSpan: number}|null}
+     */
+    getSelection() {
+        if (!this.anchor || !this.focus) return null;
+        const col = Math.min(this.anchor.col, this.focus.col);
+        const row = Math.min(this.anchor.row, this.focus.row);
+        return {
+            ...this.size,
+            col,
+            row,
+            colSpan: Math.abs(this.anchor.col - this.focus.col) + 1,
+            rowSpan: Math.abs(this.anchor.row - this.focus.row) + 1
+        };
+    }
+
+    /**
+     * Select the block between two cells and preview it on screen
+     * @param {{col: number, row: number}} anchor
+     * @param {{col: number, row: number}} focus
+     */
+    select(anchor, focus) {
+        this.anchor = anchor;
+        this.focus = focus;
+        const selection = this.getSelection();
+
+        const box = this.element.querySelector('.wm-grid-selection');
+        box.style.gridColumn = `${selection.col + 1} / span ${selection.colSpan}`;
+        box.style.gridRow = `${selection.row + 1} / span ${selection.rowSpan}`;
+
+        const rect = this.layouter.calculateZoneRect(GRID_LAYOUT_ID, formatGridZoneId(selection));
+        if (rect) this.layouter.showHighlight(rect, this.app);
+    }
+
+    /**
+     * Arrow keys move the selection (Shift extends it), Enter snaps, Escape cancels
+     * @param {KeyboardEvent} event
+     */
+    onKeydown(event) {
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (event.key in moves) {
+            const [dx, dy] = moves[event.key];
+            const { cols, rows } = this.size;
+            const focus = {
+                col: Math.max(0, Math.min(cols - 1, this.focus.col + dx)),
+                row: Math.max(0, Math.min(rows - 1, this.focus.row + dy))
+            };
+            this.select(event.shiftKey ? this.anchor : focus, focus);
+        } else if (event.key === 'Enter') {
+            this.commit();
+        } else if (event.key === 'Escape') {
+            this.close();
+        } else {
+            return;
+        }
+        // Keep Foundry's own bindings (Escape closes windows) out of it
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    /**
+     * Snap the window to the selected area and close the picker
+     */
+    commit() {
+        const app = this.app;
+        const selection = this.getSelection();
+        this.close();
+        if (!app || !selection) return;
+
+        const zoneInfo = { layoutId: GRID_LAYOUT_ID, zoneId: formatGridZoneId(selection) };
+        const rect = this.layouter.calculateZoneRect(zoneInfo.layoutId, zoneInfo.zoneId);
+        if (rect) this.layouter.snapApp(app, rect, zoneInfo, 'gridPicker');
+    }
+
+    /**
+     * Close the picker and its preview
+     */
+    close() {
+        this.selecting = false;
+        this.anchor = null;
+        this.focus = null;
+        this.app = null;
+        if (!this.element) return;
+        const hadFocus = this.element.contains(document.activeElement);
+        this.element.remove();
+        this.element = null;
+        if (hadFocus && this.returnFocus?.isConnected) this.returnFocus.focus();
+        this.returnFocus = null;
+        if (this.layouter.highlight) this.layouter.highlight.style.display = 'none';
+        this.layouter.windowPreview?.reset();
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Keybindings for Window Maximizer.
+ * Registered during `init` like the settings; the handlers reach the
+ * layouter through a getter because it is only created on `ready`.
+ */
+
+import { MODULE_ID } from './settings.js';
+
+/**
+ * Register the module's keybindings
+ * @param {Object} deps
+ * @param {() => import('./snap-layouter.js').SnapLayouter|undefined} deps.getLayouter
+ */
+export function registerKeybindings({ getLayouter }) {
+    // Alt+Z mirrors Win+Z, which opens the snap layouts on Windows 11
+    game.keybindings.register(MODULE_ID, 'openLayoutPicker', {
+        name: 'Open Snap Layouts for Focused Window',
+        hint: 'Shows the snap overlay for the focused window. Arrow keys move between layouts and zones, Enter snaps the window, Escape cancels.',
+        editable: [{ key: 'KeyZ', modifiers: ['Alt'] }],
+        onDown: () => {
+            const layouter = getLayouter();
+            if (!layouter) return false;
+            if (layouter.activeApp) return true; // Already open
+            if (!layouter.openKeyboardPicker()) {
+                ui.notifications.warn('Window Maximizer | Focus a window to choose a snap layout for it');
+            }
+            return true;
+        }
+    });
+
+    game.keybindings.register(MODULE_ID, 'openGridPicker', {
+        name: 'Open Custom Grid for Focused Window',
+        hint: 'Shows a fine grid for the focused window. Drag across the cells, or use the arrow keys (Shift extends the selection) and Enter, to snap the window to exactly that area.',
+        editable: [{ key: 'KeyG', modifiers: ['Alt'] }],
+        onDown: () => {
+            const layouter = getLayouter();
+            if (!layouter) return false;
+            if (layouter.activeApp) return true; // Overlay is open
+            const app = layouter.getFocusedApp();
+            if (!app) {
+                ui.notifications.warn('Window Maximizer | Focus a window to place it on the custom grid');
+                return true;
+            }
+            layouter.gridPicker.open(app);
+            return true;
+        }
+    });
+}
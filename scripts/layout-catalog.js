@@ -0,0 +1,437 @@
+/**
+ * Layout catalog - the single source of the layouts offered in the snap bar.
+ *
+ * Combines three sources, in this order:
+ *   1. Built-in layouts (BUILTIN_LAYOUTS)
+ *   2. Layouts registered by other modules through the public API
+ *   3. User-defined layouts from the Layout Editor
+ *   4. Quick layouts typed into the "Quick Layouts" setting
+ *
+ * Whether a layout is offered depends on its visibility rule: the layout area
+ * must be at least `minWidth` x `minHeight` and every track must be at least
+ * the minimum zone size. Users can override the thresholds per layout, pin a
+ * layout (always shown, sorted first) or hide it entirely.
+ */
+
+import { getSetting } from './settings.js';
+import { isValidLayout } from './layout-schema.js';
+import { getSmallestTrackSize } from './layout-geometry.js';
+import { layoutRegistry } from './layout-registry.js';
+import { getLeafZones, getZoneRectByPath } from './layout-tree.js';
+import { parseLayoutList } from './layout-parser.js';
+
+// Debug logging system - conditional console logging for performance
+// Uses FoundryVTT game setting for runtime configurability
+function debugLog(...args) {
+    // Safety check: ensure game and settings are available
+    if (!game?.settings) return;
+
+    try {
+        if (game.settings.get('window-maximizer', 'debugMode')) {
+            console.log('Window Maximizer |', ...args);
+        }
+    } catch (error) {
+        // If setting doesn't exist yet, silently ignore (module initialization phase)
+        // This prevents errors during module load before settings are registered
+    }
+}
+
+// Default minimum window size thresholds (in pixels), configurable per client
+export const DEFAULT_MIN_ZONE_WIDTH = 300;
+export const DEFAULT_MIN_ZONE_HEIGHT = 200;
+
+/**
+ * Visibility modes a user can choose per layout
+ * @type {Record<string, string>}
+ */
+export const LAYOUT_VISIBILITY_MODES = {
+    auto: 'Automatic',
+    pinned: 'Always Show',
+    hidden: 'Hidden'
+};
+
+/**
+ * Built-in layouts with their default visibility rules.
+ * `minWidth` / `minHeight` are layout area thresholds in pixels;
+ * `always` layouts skip every check.
+ * @type {Array<Object>}
+ */
+export const BUILTIN_LAYOUTS = [
+    {
+        id: 'full',
+        label: 'Full Screen',
+        class: 'layout-full',
+        cols: 1,
+        rows: 1,
+        zones: [{ id: 'full', col: 0, row: 0 }],
+        always: true
+    },
+    {
+        id: 'split-2',
+        label: '2 Columns',
+        class: 'layout-cols-2',
+        cols: 2,
+        rows: 1,
+        zones: [
+            { id: 'left', col: 0, row: 0 },
+            { id: 'right', col: 1, row: 0 }
+        ]
+    },
+    // 3-column layout (needs larger screens for optimal usability)
+    {
+        id: 'split-3',
+        label: '3 Columns',
+        class: 'layout-cols-3',
+        cols: 3,
+        rows: 1,
+        minWidth: 1400,
+        zones: [
+            { id: 'left', col: 0, row: 0 },
+            { id: 'center', col: 1, row: 0 },
+            { id: 'right', col: 2, row: 0 }
+        ]
+    },
+    // 4-column layout (requires ultrawide screens for practical use)
+    {
+        id: 'split-4',
+        label: '4 Columns',
+        class: 'layout-cols-4',
+        cols: 4,
+        rows: 1,
+        minWidth: 2560,
+        zones: [
+            { id: 'col-0', col: 0, row: 0 },
+            { id: 'col-1', col: 1, row: 0 },
+            { id: 'col-2', col: 2, row: 0 },
+            { id: 'col-3', col: 3, row: 0 }
+        ]
+    },
+    // 6-column layout (reserved for extreme ultrawide configurations)
+    {
+        id: 'split-6',
+        label: '6 Columns',
+        class: 'layout-cols-6',
+        cols: 6,
+        rows: 1,
+        minWidth: 3840,
+        zones: [
+            { id: 'col-0', col: 0, row: 0 },
+            { id: 'col-1', col: 1, row: 0 },
+            { id: 'col-2', col: 2, row: 0 },
+            { id: 'col-3', col: 3, row: 0 },
+            { id: 'col-4', col: 4, row: 0 },
+            { id: 'col-5', col: 5, row: 0 }
+        ]
+    },
+    // Asymmetric 2-column splits: wide main pane plus a narrower side pane
+    {
+        id: 'split-2-1',
+        label: '2/3 + 1/3',
+        class: 'layout-cols-2-1',
+        cols: 2,
+        rows: 1,
+        colWeights: [2, 1],
+        zones: [
+            { id: 'main', col: 0, row: 0 },
+            { id: 'side', col: 1, row: 0 }
+        ]
+    },
+    {
+        id: 'split-1-2',
+        label: '1/3 + 2/3',
+        class: 'layout-cols-1-2',
+        cols: 2,
+        rows: 1,
+        colWeights: [1, 2],
+        zones: [
+            { id: 'side', col: 0, row: 0 },
+            { id: 'main', col: 1, row: 0 }
+        ]
+    },
+    // Centered focus layout: 1/4 + 1/2 + 1/4
+    {
+        id: 'split-1-2-1',
+        label: '1/4 + 1/2 + 1/4',
+        class: 'layout-cols-1-2-1',
+        cols: 3,
+        rows: 1,
+        minWidth: 1400,
+        colWeights: [1, 2, 1],
+        zones: [
+            { id: 'left', col: 0, row: 0 },
+            { id: 'center', col: 1, row: 0 },
+            { id: 'right', col: 2, row: 0 }
+        ]
+    },
+    // Big main pane with a stack of small panes beside it
+    {
+        id: 'main-stack',
+        label: 'Main + Stack',
+        class: 'layout-main-stack',
+        cols: 2,
+        rows: 3,
+        colWeights: [2, 1],
+        zones: [
+            { id: 'main', col: 0, row: 0, rowSpan: 3 },
+            { id: 'stack-0', col: 1, row: 0 },
+            { id: 'stack-1', col: 1, row: 1 },
+            { id: 'stack-2', col: 1, row: 2 }
+        ]
+    },
+    // 2-row layout (vertical split)
+    {
+        id: 'rows-2',
+        label: '2 Rows',
+        class: 'layout-rows-2',
+        cols: 1,
+        rows: 2,
+        zones: [
+            { id: 'top', col: 0, row: 0 },
+            { id: 'bottom', col: 0, row: 1 }
+        ]
+    },
+    // 2x2 quarters
+    {
+        id: 'grid-2x2',
+        label: '2×2 Grid',
+        class: 'layout-grid-2x2',
+        cols: 2,
+        rows: 2,
+        zones: [
+            { id: 'tl', col: 0, row: 0 },
+            { id: 'tr', col: 1, row: 0 },
+            { id: 'bl', col: 0, row: 1 },
+            { id: 'br', col: 1, row: 1 }
+        ]
+    },
+    // 4x2 grid (requires 4K displays for practical column widths)
+    {
+        id: 'grid-4x2',
+        label: '4×2 Grid',
+        class: 'layout-grid-4x2',
+        cols: 4,
+        rows: 2,
+        minWidth: 3200,
+        zones: [
+            { id: 'r0c0', col: 0, row: 0 },
+            { id: 'r0c1', col: 1, row: 0 },
+            { id: 'r0c2', col: 2, row: 0 },
+            { id: 'r0c3', col: 3, row: 0 },
+            { id: 'r1c0', col: 0, row: 1 },
+            { id: 'r1c1', col: 1, row: 1 },
+            { id: 'r1c2', col: 2, row: 1 },
+            { id: 'r1c3', col: 3, row: 1 }
+        ]
+    },
+    // 3-row layout (optimized for extra-tall displays)
+    {
+        id: 'rows-3',
+        label: '3 Rows',
+        class: 'layout-rows-3',
+        cols: 1,
+        rows: 3,
+        minHeight: 1400,
+        zones: [
+            { id: 'top', col: 0, row: 0 },
+            { id: 'middle', col: 0, row: 1 },
+            { id: 'bottom', col: 0, row: 2 }
+        ]
+    },
+    // 2x3 grid (requires extra-tall displays for usability)
+    {
+        id: 'grid-2x3',
+        label: '2×3 Grid',
+        class: 'layout-grid-2x3',
+        cols: 2,
+        rows: 3,
+        minHeight: 1400,
+        zones: [
+            { id: 'r0c0', col: 0, row: 0 },
+            { id: 'r0c1', col: 1, row: 0 },
+            { id: 'r1c0', col: 0, row: 1 },
+            { id: 'r1c1', col: 1, row: 1 },
+            { id: 'r2c0', col: 0, row: 2 },
+            { id: 'r2c1', col: 1, row: 2 }
+        ]
+    },
+    // 3x3 grid (reserved for ultra-wide and ultra-tall configurations)
+    {
+        id: 'grid-3x3',
+        label: '3×3 Grid',
+        class: 'layout-grid-3x3',
+        cols: 3,
+        rows: 3,
+        minWidth: 1400,
+        minHeight: 1400,
+        zones: [
+            { id: 'r0c0', col: 0, row: 0 },
+            { id: 'r0c1', col: 1, row: 0 },
+            { id: 'r0c2', col: 2, row: 0 },
+            { id: 'r1c0', col: 0, row: 1 },
+            { id: 'r1c1', col: 1, row: 1 },
+            { id: 'r1c2', col: 2, row: 1 },
+            { id: 'r2c0', col: 0, row: 2 },
+            { id: 'r2c1', col: 1, row: 2 },
+            { id: 'r2c2', col: 2, row: 2 }
+        ]
+    }
+];
+
+/**
+ * Get the user-defined layouts from the Layout Editor.
+ * Invalid entries (e.g. hand-edited settings) are skipped rather than
+ * breaking the whole overlay.
+ * @returns {Array<Object>}
+ */
+function getCustomLayouts() {
+    const stored = getSetting('customLayouts', []);
+    if (!Array.isArray(stored)) return [];
+
+    return stored.filter(layout => {
+        if (isValidLayout(layout)) return true;
+        debugLog('Skipping invalid custom layout:', layout?.id ?? layout);
+        return false;
+    }).map(layout => ({
+        ...layout,
+        label: layout.label || layout.id,
+        class: 'layout-custom',
+        // Drawn by the user for their own screen - no minimum zone size check
+        skipZoneSizeCheck: true
+    }));
+}
+
+/**
+ * Get the layouts described in the "Quick Layouts" setting. Descriptions with
+ * syntax errors are skipped (the setting reports them when it is changed).
+ * Ids are derived from the description so visibility overrides survive
+ * reordering.
+ * @returns {Array<Object>}
+ */
+function getQuickLayouts() {
+    const { layouts, errors } = parseLayoutList(getSetting('quickLayouts', ''));
+    if (errors.length > 0) debugLog('Skipping invalid quick layouts:', errors.map(e => e.message));
+
+    return layouts.map(({ label, spec, layout }) => ({
+        id: `quick:${spec.replace(/\s+/g, ' ')}`,
+        label: label || spec,
+        ...layout,
+        class: 'layout-custom',
+        skipZoneSizeCheck: true
+    }));
+}
+
+/**
+ * Get every known layout regardless of screen size, tagged with its source.
+ * Duplicate ids are dropped - the first definition wins (built-ins first).
+ * @returns {Array<Object>}
+ */
+export function getKnownLayouts() {
+    const layouts = [
+        ...BUILTIN_LAYOUTS.map(layout => ({ ...foundry.utils.deepClone(layout), source: 'builtin' })),
+        ...layoutRegistry.getAll().map(layout => ({ ...layout, source: 'module' })),
+        ...getCustomLayouts().map(layout => ({ ...layout, source: 'custom' })),
+        ...getQuickLayouts().map(layout => ({ ...layout, source: 'quick' }))
+    ];
+
+    const seen = new Set();
+    return layouts.filter(layout => {
+        if (seen.has(layout.id)) {
+            debugLog('Ignoring layout with duplicate id:', layout.id);
+            return false;
+        }
+        seen.add(layout.id);
+        return true;
+    });
+}
+
+/**
+ * Get the configured minimum zone size
+ * @returns {{width: number, height: number}}
+ */
+export function getMinimumZoneSize() {
+    const width = Number(getSetting('minZoneWidth', DEFAULT_MIN_ZONE_WIDTH));
+    const height = Number(getSetting('minZoneHeight', DEFAULT_MIN_ZONE_HEIGHT));
+    return {
+        width: Number.isFinite(width) && width > 0 ? width : DEFAULT_MIN_ZONE_WIDTH,
+        height: Number.isFinite(height) && height > 0 ? height : DEFAULT_MIN_ZONE_HEIGHT
+    };
+}
+
+/**
+ * Get the per-layout visibility overrides
+ * @returns {Record<string, {mode?: string, minWidth?: number, minHeight?: number}>}
+ */
+export function getLayoutVisibility() {
+    const stored = getSetting('layoutVisibility', {});
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+}
+
+/**
+ * Resolve the effective visibility rule of a layout
+ * @param {Object} layout - Layout definition with optional default thresholds
+ * @param {{mode?: string, minWidth?: number, minHeight?: number}} [override] - User override
+ * @returns {{mode: string, minWidth: number, minHeight: number}}
+ */
+export function resolveVisibilityRule(layout, override = {}) {
+    const pick = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+    return {
+        mode: override.mode in LAYOUT_VISIBILITY_MODES ? override.mode : 'auto',
+        minWidth: pick(override.minWidth, pick(layout.minWidth, 0)),
+        minHeight: pick(override.minHeight, pick(layout.minHeight, 0))
+    };
+}
+
+/**
+ * Check whether every track of a weighted layout is at least the minimum zone size.
+ * Nested zones are checked by their own pixel size inside the parent zone.
+ * @param {Object} layout - Layout with cols/rows and optional colWeights/rowWeights
+ * @param {number} width - Available width in pixels
+ * @param {number} height - Available height in pixels
+ * @param {{width: number, height: number}} minZone - Minimum zone size
+ * @returns {boolean}
+ */
+function fitsMinimumZoneSize(layout, width, height, minZone) {
+    const tracksFit = getSmallestTrackSize(layout.colWeights, layout.cols, width) >= minZone.width &&
+        getSmallestTrackSize(layout.rowWeights, layout.rows, height) >= minZone.height;
+    if (!tracksFit) return false;
+
+    const area = { x: 0, y: 0, w: width, h: height };
+    return getLeafZones(layout)
+        .filter(leaf => leaf.depth > 0)
+        .every(leaf => {
+            const rect = getZoneRectByPath(layout, leaf.path, area);
+            return rect.w >= minZone.width && rect.h >= minZone.height;
+        });
+}
+
+/**
+ * Calculate available layouts based on the size of the layout area
+ * @param {{w: number, h: number}} area - The area layouts are laid out in
+ * @returns {Array<{id: string, class: string, cols: number, rows: number, colWeights?: number[], rowWeights?: number[], zones: Array<{id: string, col: number, row: number, colSpan?: number, rowSpan?: number}>}>}
+ */
+export function calculateAvailableLayouts(area) {
+    const visibility = getLayoutVisibility();
+    const minZone = getMinimumZoneSize();
+    const pinned = [];
+    const regular = [];
+
+    for (const layout of getKnownLayouts()) {
+        const rule = resolveVisibilityRule(layout, visibility[layout.id]);
+        if (rule.mode === 'hidden') continue;
+
+        if (rule.mode === 'pinned') {
+            pinned.push(layout);
+            continue;
+        }
+
+        const available = layout.always || (
+            area.w >= rule.minWidth &&
+            area.h >= rule.minHeight &&
+            (layout.skipZoneSizeCheck || fitsMinimumZoneSize(layout, area.w, area.h, minZone))
+        );
+        if (available) regular.push(layout);
+    }
+
+    // Pinned layouts always come first in the bar
+    return [...pinned, ...regular];
+}
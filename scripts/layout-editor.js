@@ -0,0 +1,521 @@
+/**
+ * Layout Editor - settings menu application for user-defined snap layouts.
+ *
+ * Layouts are drawn on a grid: pick the number of columns and rows, then drag
+ * across cells to merge them into a single zone. Right-clicking a merged zone
+ * splits it back into single cells. Column widths and row heights can be
+ * weighted (e.g. "2 1" for a 2/3 + 1/3 split). Saved layouts are stored in the
+ * `customLayouts` client setting and picked up by calculateAvailableLayouts().
+ *
+ * Built without Handlebars templates - the DOM is assembled directly, like the
+ * snap overlay in snap-layouter.js.
+ */
+
+import { MODULE_ID, getSetting } from './settings.js';
+import { validateLayout, MAX_GRID_TRACKS } from './layout-schema.js';
+import { getTrackOffsets, getTrackTemplate, findTrackIndex, parseTrackWeights } from './layout-geometry.js';
+
+const { ApplicationV2, DialogV2 } = foundry.applications.api;
+
+/**
+ * Escape a string for safe insertion into HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+/**
+ * Create a grid where every cell is its own zone
+ * @param {number} cols
+ * @param {number} rows
+ * @returns {Array<{id: string, col: number, row: number}>}
+ */
+function createUniformZones(cols, rows) {
+    const zones = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            zones.push({ col, row });
+        }
+    }
+    return assignZoneIds(zones);
+}
+
+/**
+ * Sort zones in reading order and give them stable ids derived from their
+ * top-left cell. Spans of 1 are omitted to keep stored layouts compact.
+ * @param {Array<Object>} zones
+ * @returns {Array<Object>}
+ */
+function assignZoneIds(zones) {
+    return zones
+        .map(zone => {
+            const result = { id: `r${zone.row}c${zone.col}`, col: zone.col, row: zone.row };
+            if ((zone.colSpan ?? 1) > 1) result.colSpan = zone.colSpan;
+            if ((zone.rowSpan ?? 1) > 1) result.rowSpan = zone.rowSpan;
+            // Keep nested sub-layouts of zones that survive an edit unchanged
+            if (zone.layout) result.layout = zone.layout;
+            return result;
+        })
+        .sort((a, b) => a.row - b.row || a.col - b.col);
+}
+
+/**
+ * Build a read-only preview of a zone's nested sub-layout
+ * @param {Object} subLayout - {cols, rows, colWeights?, rowWeights?, zones}
+ * @returns {HTMLElement}
+ */
+function createNestedPreview(subLayout) {
+    const preview = document.createElement('div');
+    preview.className = 'wm-editor-nested';
+    preview.style.gridTemplateColumns = getTrackTemplate(subLayout.colWeights, subLayout.cols);
+    preview.style.gridTemplateRows = getTrackTemplate(subLayout.rowWeights, subLayout.rows);
+    for (const zone of subLayout.zones) {
+        const cell = zone.layout ? createNestedPreview(zone.layout) : document.createElement('div');
+        cell.classList.add('wm-editor-nested-zone');
+        cell.style.gridColumn = `${zone.col + 1} / span ${zone.colSpan ?? 1}`;
+        cell.style.gridRow = `${zone.row + 1} / span ${zone.rowSpan ?? 1}`;
+        preview.appendChild(cell);
+    }
+    return preview;
+}
+
+/**
+ * Get the cell bounds of a zone (end coordinates are exclusive)
+ * @param {Object} zone
+ * @returns {{col: number, row: number, colEnd: number, rowEnd: number}}
+ */
+function zoneBounds(zone) {
+    return {
+        col: zone.col,
+        row: zone.row,
+        colEnd: zone.col + (zone.colSpan ?? 1),
+        rowEnd: zone.row + (zone.rowSpan ?? 1)
+    };
+}
+
+/**
+ * Merge a rectangular cell selection into a single zone.
+ * The selection grows until it fully contains every zone it touches, so
+ * merged zones are never cut in half.
+ * @param {Object} layout - The layout being edited (mutated)
+ * @param {{col: number, row: number, colEnd: number, rowEnd: number}} selection
+ */
+function mergeCells(layout, selection) {
+    const sel = { ...selection };
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const zone of layout.zones) {
+            const b = zoneBounds(zone);
+            const intersects = b.col < sel.colEnd && b.colEnd > sel.col && b.row < sel.rowEnd && b.rowEnd > sel.row;
+            if (!intersects) continue;
+            if (b.col < sel.col) { sel.col = b.col; changed = true; }
+            if (b.row < sel.row) { sel.row = b.row; changed = true; }
+            if (b.colEnd > sel.colEnd) { sel.colEnd = b.colEnd; changed = true; }
+            if (b.rowEnd > sel.rowEnd) { sel.rowEnd = b.rowEnd; changed = true; }
+        }
+    }
+
+    const remaining = layout.zones.filter(zone => {
+        const b = zoneBounds(zone);
+        return !(b.col >= sel.col && b.colEnd <= sel.colEnd && b.row >= sel.row && b.rowEnd <= sel.rowEnd);
+    });
+    remaining.push({
+        col: sel.col,
+        row: sel.row,
+        colSpan: sel.colEnd - sel.col,
+        rowSpan: sel.rowEnd - sel.row
+    });
+    layout.zones = assignZoneIds(remaining);
+}
+
+/**
+ * Split the zone covering a cell back into single cells
+ * @param {Object} layout - The layout being edited (mutated)
+ * @param {{col: number, row: number}} cell
+ */
+function splitZoneAt(layout, cell) {
+    const target = layout.zones.find(zone => {
+        const b = zoneBounds(zone);
+        return cell.col >= b.col && cell.col < b.colEnd && cell.row >= b.row && cell.row < b.rowEnd;
+    });
+    if (!target) return;
+
+    const b = zoneBounds(target);
+    const zones = layout.zones.filter(zone => zone !== target);
+    for (let row = b.row; row < b.rowEnd; row++) {
+        for (let col = b.col; col < b.colEnd; col++) {
+            zones.push({ col, row });
+        }
+    }
+    layout.zones = assignZoneIds(zones);
+}
+
+/**
+ * Change the grid size of a layout. Zones that still fit are kept, any cell
+ * left uncovered becomes its own zone.
+ * @param {Object} layout - The layout being edited (mutated)
+ * @param {number} cols
+ * @param {number} rows
+ */
+function resizeGrid(layout, cols, rows) {
+    const zones = layout.zones.filter(zone => {
+        const b = zoneBounds(zone);
+        return b.colEnd <= cols && b.rowEnd <= rows;
+    });
+
+    const covered = new Set();
+    for (const zone of zones) {
+        const b = zoneBounds(zone);
+        for (let row = b.row; row < b.rowEnd; row++) {
+            for (let col = b.col; col < b.colEnd; col++) covered.add(`${col},${row}`);
+        }
+    }
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            if (!covered.has(`${col},${row}`)) zones.push({ col, row });
+        }
+    }
+
+    // Weights no longer line up with the tracks once the count changes
+    if (cols !== layout.cols) delete layout.colWeights;
+    if (rows !== layout.rows) delete layout.rowWeights;
+
+    layout.cols = cols;
+    layout.rows = rows;
+    layout.zones = assignZoneIds(zones);
+}
+
+export class LayoutEditor extends ApplicationV2 {
+    constructor(options = {}) {
+        super(options);
+        /** @type {Array<Object>} Working copy of the stored custom layouts */
+        this.layouts = foundry.utils.deepClone(getSetting('customLayouts', []));
+        /** @type {string|null} Id of the layout shown in the editing panel */
+        this.selectedId = this.layouts[0]?.id ?? null;
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: 'window-maximizer-layout-editor',
+        classes: ['window-maximizer-layout-editor'],
+        window: {
+            title: 'Window Maximizer: Layout Editor',
+            icon: 'fas fa-table-cells',
+            resizable: true
+        },
+        position: {
+            width: 640,
+            height: 'auto'
+        },
+        actions: {
+            createLayout: LayoutEditor.#onCreateLayout,
+            selectLayout: LayoutEditor.#onSelectLayout,
+            deleteLayout: LayoutEditor.#onDeleteLayout,
+            saveLayouts: LayoutEditor.#onSaveLayouts
+        }
+    };
+
+    /**
+     * The layout currently being edited
+     * @type {Object|undefined}
+     */
+    get selectedLayout() {
+        return this.layouts.find(l => l.id === this.selectedId);
+    }
+
+    /** @override */
+    async _renderHTML(context, options) {
+        const root = document.createElement('div');
+        root.className = 'wm-editor';
+        root.append(this.#renderList(), this.#renderDetail());
+        return root;
+    }
+
+    /** @override */
+    _replaceHTML(result, content, options) {
+        content.replaceChildren(result);
+    }
+
+    /** @override */
+    _onRender(context, options) {
+        super._onRender?.(context, options);
+        const layout = this.selectedLayout;
+        if (!layout) return;
+
+        const root = this.element;
+        root.querySelector('input[name="label"]')?.addEventListener('change', (event) => {
+            layout.label = event.target.value.trim() || 'Untitled Layout';
+            this.render();
+        });
+
+        for (const name of ['cols', 'rows']) {
+            root.querySelector(`input[name="${name}"]`)?.addEventListener('change', (event) => {
+                const value = Math.max(1, Math.min(MAX_GRID_TRACKS, parseInt(event.target.value, 10) || 1));
+                const cols = name === 'cols' ? value : layout.cols;
+                const rows = name === 'rows' ? value : layout.rows;
+                resizeGrid(layout, cols, rows);
+                this.render();
+            });
+        }
+
+        for (const [key, countKey] of [['colWeights', 'cols'], ['rowWeights', 'rows']]) {
+            root.querySelector(`input[name="${key}"]`)?.addEventListener('change', (event) => {
+                const text = event.target.value.trim();
+                if (!text) {
+                    delete layout[key];
+                } else {
+                    const weights = parseTrackWeights(text);
+                    if (!weights || weights.length !== layout[countKey]) {
+                        ui.notifications.warn(`Window Maximizer | Enter ${layout[countKey]} positive numbers, e.g. "${new Array(layout[countKey]).fill(1).join(' ')}"`);
+                    } else {
+                        layout[key] = weights;
+                    }
+                }
+                this.render();
+            });
+        }
+
+        const grid = root.querySelector('.wm-editor-grid');
+        if (grid) this.#activateGrid(grid, layout);
+    }
+
+    /**
+     * Build the sidebar listing all custom layouts
+     * @returns {HTMLElement}
+     */
+    #renderList() {
+        const list = document.createElement('aside');
+        list.className = 'wm-editor-list';
+
+        for (const layout of this.layouts) {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'wm-editor-list-item';
+            item.classList.toggle('active', layout.id === this.selectedId);
+            item.dataset.action = 'selectLayout';
+            item.dataset.layoutId = layout.id;
+            item.textContent = layout.label || layout.id;
+            list.appendChild(item);
+        }
+
+        const create = document.createElement('button');
+        create.type = 'button';
+        create.className = 'wm-editor-create';
+        create.dataset.action = 'createLayout';
+        create.innerHTML = '<i class="fas fa-plus"></i> New Layout';
+        list.appendChild(create);
+
+        return list;
+    }
+
+    /**
+     * Build the editing panel for the selected layout
+     * @returns {HTMLElement}
+     */
+    #renderDetail() {
+        const detail = document.createElement('section');
+        detail.className = 'wm-editor-detail';
+
+        const layout = this.selectedLayout;
+        if (!layout) {
+            const empty = document.createElement('p');
+            empty.className = 'hint';
+            empty.textContent = 'Create a layout or select one to edit it.';
+            detail.appendChild(empty);
+            return detail;
+        }
+
+        const fields = document.createElement('div');
+        fields.className = 'wm-editor-fields';
+        fields.innerHTML = `
+            <label>Name <input type="text" name="label"></label>
+            <label>Columns <input type="number" name="cols" min="1" max="${MAX_GRID_TRACKS}" step="1"></label>
+            <label>Rows <input type="number" name="rows" min="1" max="${MAX_GRID_TRACKS}" step="1"></label>`;
+        const weights = document.createElement('div');
+        weights.className = 'wm-editor-fields';
+        weights.innerHTML = `
+            <label>Column widths <input type="text" name="colWeights" placeholder="equal"></label>
+            <label>Row heights <input type="text" name="rowWeights" placeholder="equal"></label>`;
+        weights.querySelector('input[name="colWeights"]').value = layout.colWeights?.join(' ') ?? '';
+        weights.querySelector('input[name="rowWeights"]').value = layout.rowWeights?.join(' ') ?? '';
+        // Set values via properties so user-entered names are never parsed as HTML
+        fields.querySelector('input[name="label"]').value = layout.label ?? '';
+        fields.querySelector('input[name="cols"]').value = layout.cols;
+        fields.querySelector('input[name="rows"]').value = layout.rows;
+        detail.appendChild(fields);
+        detail.appendChild(weights);
+
+        const grid = document.createElement('div');
+        grid.className = 'wm-editor-grid';
+        grid.style.gridTemplateColumns = getTrackTemplate(layout.colWeights, layout.cols);
+        grid.style.gridTemplateRows = getTrackTemplate(layout.rowWeights, layout.rows);
+        for (const zone of layout.zones) {
+            const z = document.createElement('div');
+            z.className = 'wm-editor-zone';
+            z.classList.toggle('merged', (zone.colSpan ?? 1) > 1 || (zone.rowSpan ?? 1) > 1);
+            z.dataset.zone = zone.id;
+            z.style.gridColumn = `${zone.col + 1} / span ${zone.colSpan ?? 1}`;
+            z.style.gridRow = `${zone.row + 1} / span ${zone.rowSpan ?? 1}`;
+            if (zone.layout) {
+                z.classList.add('nested');
+                z.title = 'Subdivided zone - merging or splitting it removes its sub-layout';
+                z.appendChild(createNestedPreview(zone.layout));
+            }
+            grid.appendChild(z);
+        }
+        const selection = document.createElement('div');
+        selection.className = 'wm-editor-selection';
+        grid.appendChild(selection);
+        detail.appendChild(grid);
+
+        const hint = document.createElement('p');
+        hint.className = 'hint';
+        hint.textContent = 'Drag across cells to merge them into one zone. Right-click a merged zone to split it again. '
+            + 'Column widths and row heights take one number per track, e.g. "2 1" for a 2/3 + 1/3 split.';
+        detail.appendChild(hint);
+
+        const footer = document.createElement('footer');
+        footer.className = 'wm-editor-footer';
+        footer.innerHTML = `
+            <button type="button" data-action="deleteLayout"><i class="fas fa-trash"></i> Delete</button>
+            <button type="button" data-action="saveLayouts"><i class="fas fa-save"></i> Save</button>`;
+        detail.appendChild(footer);
+
+        return detail;
+    }
+
+    /**
+     * Wire up cell selection on the editor grid
+     * @param {HTMLElement} grid - The grid element
+     * @param {Object} layout - The layout being edited
+     */
+    #activateGrid(grid, layout) {
+        const selection = grid.querySelector('.wm-editor-selection');
+        let start = null;
+
+        const cellFromEvent = (event) => {
+            const rect = grid.getBoundingClientRect();
+            const colOffsets = getTrackOffsets(layout.colWeights, layout.cols, rect.width);
+            const rowOffsets = getTrackOffsets(layout.rowWeights, layout.rows, rect.height);
+            return {
+                col: findTrackIndex(colOffsets, event.clientX - rect.left),
+                row: findTrackIndex(rowOffsets, event.clientY - rect.top)
+            };
+        };
+
+        const selectionBetween = (a, b) => ({
+            col: Math.min(a.col, b.col),
+            row: Math.min(a.row, b.row),
+            colEnd: Math.max(a.col, b.col) + 1,
+            rowEnd: Math.max(a.row, b.row) + 1
+        });
+
+        const showSelection = (sel) => {
+            selection.style.display = 'block';
+            selection.style.gridColumn = `${sel.col + 1} / ${sel.colEnd + 1}`;
+            selection.style.gridRow = `${sel.row + 1} / ${sel.rowEnd + 1}`;
+        };
+
+        grid.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0) return;
+            start = cellFromEvent(event);
+            grid.setPointerCapture(event.pointerId);
+            showSelection(selectionBetween(start, start));
+        });
+
+        grid.addEventListener('pointermove', (event) => {
+            if (!start) return;
+            showSelection(selectionBetween(start, cellFromEvent(event)));
+        });
+
+        grid.addEventListener('pointerup', (event) => {
+            if (!start) return;
+            const sel = selectionBetween(start, cellFromEvent(event));
+            start = null;
+            mergeCells(layout, sel);
+            this.render();
+        });
+
+        grid.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            splitZoneAt(layout, cellFromEvent(event));
+            this.render();
+        });
+    }
+
+    /**
+     * Persist the working copy to the client setting
+     * @returns {Promise<boolean>} - True if the layouts were valid and saved
+     */
+    async #persist() {
+        for (const layout of this.layouts) {
+            const errors = validateLayout(layout);
+            if (errors.length > 0) {
+                ui.notifications.error(`Window Maximizer | Layout "${layout.label || layout.id}" is invalid: ${errors[0]}`);
+                return false;
+            }
+        }
+        await game.settings.set(MODULE_ID, 'customLayouts', foundry.utils.deepClone(this.layouts));
+        return true;
+    }
+
+    /**
+     * Add a new layout and select it
+     * @this {LayoutEditor}
+     */
+    static #onCreateLayout(event, target) {
+        const layout = {
+            id: `custom-${foundry.utils.randomID(8)}`,
+            label: 'New Layout',
+            cols: 3,
+            rows: 2,
+            zones: createUniformZones(3, 2)
+        };
+        this.layouts.push(layout);
+        this.selectedId = layout.id;
+        this.render();
+    }
+
+    /**
+     * Switch the editing panel to another layout
+     * @this {LayoutEditor}
+     */
+    static #onSelectLayout(event, target) {
+        this.selectedId = target.dataset.layoutId;
+        this.render();
+    }
+
+    /**
+     * Delete the selected layout after confirmation
+     * @this {LayoutEditor}
+     */
+    static async #onDeleteLayout(event, target) {
+        const layout = this.selectedLayout;
+        if (!layout) return;
+
+        const confirmed = await DialogV2.confirm({
+            window: { title: 'Delete Layout' },
+            content: `<p>Delete the layout <strong>${escapeHtml(layout.label || layout.id)}</strong>?</p>`
+        });
+        if (!confirmed) return;
+
+        this.layouts = this.layouts.filter(l => l.id !== layout.id);
+        this.selectedId = this.layouts[0]?.id ?? null;
+        await this.#persist();
+        this.render();
+    }
+
+    /**
+     * Save all layouts
+     * @this {LayoutEditor}
+     */
+    static async #onSaveLayouts(event, target) {
+        if (await this.#persist()) {
+            ui.notifications.info('Window Maximizer | Layouts saved');
+        }
+    }
+}
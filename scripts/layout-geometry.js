@@ -0,0 +1,162 @@
+/**
+ * Pure geometry helpers for layout grids.
+ *
+ * Layouts may carry optional `colWeights` / `rowWeights` arrays (one positive
+ * number per track). Without them every track has the same size. The same
+ * weights drive both the CSS grid template of the minimap and the pixel math
+ * in calculateZoneRect(), so the preview always matches the snapped result.
+ *
+ * Spacing: an outer margin insets the whole layout area, and an inner gap
+ * separates neighbouring zones. Zone edges on the layout boundary get the
+ * margin only; shared edges get half the gap on each side.
+ */
+
+/**
+ * Resolve the weights of a grid axis, defaulting to equal tracks
+ * @param {number[]|undefined} weights - Optional per-track weights
+ * @param {number} count - Number of tracks
+ * @returns {number[]}
+ */
+export function resolveTrackWeights(weights, count) {
+    if (Array.isArray(weights) && weights.length === count) return weights;
+    return new Array(count).fill(1);
+}
+
+/**
+ * Build a CSS grid-template value for a grid axis
+ * @param {number[]|undefined} weights - Optional per-track weights
+ * @param {number} count - Number of tracks
+ * @returns {string} - e.g. "repeat(3, 1fr)" or "2fr 1fr"
+ */
+export function getTrackTemplate(weights, count) {
+    if (Array.isArray(weights) && weights.length === count) {
+        return weights.map(w => `${w}fr`).join(' ');
+    }
+    return `repeat(${count}, 1fr)`;
+}
+
+/**
+ * Build a CSS grid-template value with an extra reserved track before or after
+ * the layout tracks. Used to draw the canvas reservation inside the minimap.
+ * @param {number[]|undefined} weights - Optional per-track weights
+ * @param {number} count - Number of layout tracks
+ * @param {number} fraction - Share (0-1) of the axis taken by the reserved track
+ * @param {'start'|'end'} position - Where the reserved track goes
+ * @returns {string} - e.g. "1.5fr 1fr 1fr" for a 60% reservation at the start
+ */
+export function getReservedTrackTemplate(weights, count, fraction, position) {
+    const resolved = resolveTrackWeights(weights, count);
+    const total = resolved.reduce((sum, w) => sum + w, 0);
+    const reserved = Math.round((fraction / (1 - fraction)) * total * 1000) / 1000;
+    const tracks = resolved.map(w => `${w}fr`);
+    return (position === 'start' ? [`${reserved}fr`, ...tracks] : [...tracks, `${reserved}fr`]).join(' ');
+}
+
+/**
+ * Calculate the cumulative start offsets of every track along an axis
+ * @param {number[]|undefined} weights - Optional per-track weights
+ * @param {number} count - Number of tracks
+ * @param {number} size - Total size of the axis in pixels
+ * @returns {number[]} - count + 1 offsets; offsets[i] is the start of track i,
+ *   offsets[count] equals size
+ */
+export function getTrackOffsets(weights, count, size) {
+    const resolved = resolveTrackWeights(weights, count);
+    const total = resolved.reduce((sum, w) => sum + w, 0);
+    const offsets = [0];
+    let acc = 0;
+    for (const w of resolved) {
+        acc += w;
+        offsets.push((acc / total) * size);
+    }
+    return offsets;
+}
+
+/**
+ * Get the size of the smallest track along an axis
+ * @param {number[]|undefined} weights - Optional per-track weights
+ * @param {number} count - Number of tracks
+ * @param {number} size - Total size of the axis in pixels
+ * @returns {number}
+ */
+export function getSmallestTrackSize(weights, count, size) {
+    const resolved = resolveTrackWeights(weights, count);
+    const total = resolved.reduce((sum, w) => sum + w, 0);
+    return (Math.min(...resolved) / total) * size;
+}
+
+/**
+ * Find the index of the track containing a position along an axis
+ * @param {number[]} offsets - Offsets from getTrackOffsets()
+ * @param {number} position - Position relative to the axis start
+ * @returns {number} - Track index, clamped to the valid range
+ */
+export function findTrackIndex(offsets, position) {
+    const last = offsets.length - 2;
+    for (let i = 0; i <= last; i++) {
+        if (position < offsets[i + 1]) return i;
+    }
+    return Math.max(0, last);
+}
+
+/**
+ * Shrink a rect by the same amount on every side
+ * @param {{x: number, y: number, w: number, h: number}} rect
+ * @param {number} amount - Inset in pixels
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function insetRect(rect, amount) {
+    const inset = Math.max(0, Math.min(amount || 0, rect.w / 2, rect.h / 2));
+    return {
+        x: rect.x + inset,
+        y: rect.y + inset,
+        w: rect.w - inset * 2,
+        h: rect.h - inset * 2
+    };
+}
+
+/**
+ * Calculate the pixel rect of a zone inside an area
+ * @param {Object} layout - Layout with cols/rows and optional colWeights/rowWeights
+ * @param {{col: number, row: number, colSpan?: number, rowSpan?: number}} zone
+ * @param {{x: number, y: number, w: number, h: number}} area - The area the layout fills
+ * @param {{gap?: number, margin?: number}} [spacing] - Inner gap and outer margin in pixels
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function getZoneRect(layout, zone, area, { gap = 0, margin = 0 } = {}) {
+    const inner = insetRect(area, margin);
+    const colOffsets = getTrackOffsets(layout.colWeights, layout.cols, inner.w);
+    const rowOffsets = getTrackOffsets(layout.rowWeights, layout.rows, inner.h);
+
+    const colSpan = zone.colSpan || 1;
+    const rowSpan = zone.rowSpan || 1;
+    const colEndIndex = zone.col + colSpan;
+    const rowEndIndex = zone.row + rowSpan;
+    const halfGap = Math.max(0, gap || 0) / 2;
+
+    // Only edges shared with a neighbouring zone are pulled in by the gap
+    const colStart = Math.round(inner.x + colOffsets[zone.col] + (zone.col > 0 ? halfGap : 0));
+    const rowStart = Math.round(inner.y + rowOffsets[zone.row] + (zone.row > 0 ? halfGap : 0));
+    const colEnd   = Math.round(inner.x + colOffsets[colEndIndex] - (colEndIndex < layout.cols ? halfGap : 0));
+    const rowEnd   = Math.round(inner.y + rowOffsets[rowEndIndex] - (rowEndIndex < layout.rows ? halfGap : 0));
+
+    return {
+        x: colStart,
+        y: rowStart,
+        w: Math.max(0, colEnd - colStart),
+        h: Math.max(0, rowEnd - rowStart)
+    };
+}
+
+/**
+ * Parse a weight list typed by a user ("2 1", "1, 2, 1")
+ * @param {string} text - Whitespace or comma separated numbers
+ * @returns {number[]|null} - The weights, or null if any entry is not a positive number
+ */
+export function parseTrackWeights(text) {
+    const parts = String(text ?? '').split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0) return null;
+    const weights = parts.map(Number);
+    if (weights.some(w => !Number.isFinite(w) || w <= 0)) return null;
+    return weights;
+}
@@ -0,0 +1,21 @@
+/**
+ * Ids of the synthetic layouts the layouter resolves by itself rather than
+ * through the layout registry. Kept free of imports so the layout schema
+ * and parser can check against them without loading Foundry code.
+ */
+
+// Screen edge halves and quarters (see edge-snap.js)
+export const EDGE_SNAP_LAYOUT_ID = 'edge';
+
+// Ad-hoc grid selections (see grid-picker.js)
+export const GRID_LAYOUT_ID = 'grid';
+
+/**
+ * Check whether a layout id belongs to one of the synthetic layouts. A
+ * registered layout with such an id would be shadowed.
+ * @param {string} layoutId
+ * @returns {boolean}
+ */
+export function isReservedLayoutId(layoutId) {
+    return layoutId === EDGE_SNAP_LAYOUT_ID || layoutId === GRID_LAYOUT_ID;
+}
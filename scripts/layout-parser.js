@@ -0,0 +1,276 @@
+/**
+ * Layout description mini-language.
+ *
+ * Turns a compact string into the `{cols, rows, colWeights?, rowWeights?, zones}`
+ * structure used by calculateAvailableLayouts(). Every cell becomes one zone.
+ *
+ * Two equivalent notations are accepted:
+ *
+ *   Grid form    "2fr 1fr | 1fr 1fr"   columns, then (optionally) rows after "|"
+ *   Clause form  "cols:1,2,1;rows:2"   "cols" and "rows" clauses separated by ";"
+ *
+ * A track list is either a single whole number (a count of equal tracks, e.g.
+ * "rows:2") or a list of weights separated by spaces or commas, each optionally
+ * suffixed with "fr" ("2fr 1fr", "1,2,1"). A single "fr" value is one track.
+ * An omitted axis has one track.
+ *
+ * Several layouts can be given in one string, separated by "&", each optionally
+ * named with "Label = ..." (see parseLayoutList()).
+ *
+ * This module has no Foundry dependencies so it can be unit tested directly
+ * (test/layout-parser.test.mjs, run with `node --test test/`).
+ */
+
+import { MAX_GRID_TRACKS } from './layout-schema.js';
+
+export const LAYOUT_LIST_SEPARATOR = '&';
+
+/**
+ * Syntax error in a layout description
+ */
+export class LayoutSyntaxError extends Error {
+    /**
+     * @param {string} reason - What went wrong
+     * @param {number} position - 0-based offset into the parsed string
+     */
+    constructor(reason, position) {
+        super(`${reason} (column ${position + 1})`);
+        this.name = 'LayoutSyntaxError';
+        this.reason = reason;
+        this.position = position;
+    }
+}
+
+/**
+ * Sequential reader over the input string
+ */
+class Scanner {
+    /**
+     * @param {string} text - Full input
+     * @param {number} start - Offset to start reading at
+     * @param {number} end - Offset to stop reading at (exclusive)
+     */
+    constructor(text, start = 0, end = text.length) {
+        this.text = text;
+        this.pos = start;
+        this.end = end;
+    }
+
+    skipSpaces() {
+        while (this.pos < this.end && /\s/.test(this.text[this.pos])) this.pos++;
+    }
+
+    atEnd() {
+        this.skipSpaces();
+        return this.pos >= this.end;
+    }
+
+    peek() {
+        this.skipSpaces();
+        return this.pos < this.end ? this.text[this.pos] : '';
+    }
+
+    /**
+     * Read a run of characters matching a pattern
+     * @param {RegExp} pattern - Single-character test
+     * @returns {string}
+     */
+    readWhile(pattern) {
+        const start = this.pos;
+        while (this.pos < this.end && pattern.test(this.text[this.pos])) this.pos++;
+        return this.text.slice(start, this.pos);
+    }
+}
+
+/**
+ * Parse one track: a positive number with an optional "fr" unit
+ * @param {Scanner} scanner
+ * @returns {{value: number, fr: boolean, position: number}}
+ */
+function parseTrack(scanner) {
+    scanner.skipSpaces();
+    const position = scanner.pos;
+    const digits = scanner.readWhile(/[0-9.]/);
+    if (!digits) {
+        const found = scanner.pos < scanner.end ? `"${scanner.text[scanner.pos]}"` : 'end of input';
+        throw new LayoutSyntaxError(`Expected a number but found ${found}`, position);
+    }
+    if (!/^(\d+(\.\d*)?|\.\d+)$/.test(digits)) {
+        throw new LayoutSyntaxError(`Invalid number "${digits}"`, position);
+    }
+
+    const unitStart = scanner.pos;
+    const unit = scanner.readWhile(/[a-z%]/i);
+    if (unit && unit.toLowerCase() !== 'fr') {
+        throw new LayoutSyntaxError(`Unknown unit "${unit}" - only "fr" is supported`, unitStart);
+    }
+
+    const value = Number(digits);
+    if (!(value > 0)) {
+        throw new LayoutSyntaxError('Track sizes must be greater than 0', position);
+    }
+    return { value, fr: !!unit, position };
+}
+
+/**
+ * Parse a track list up to one of the given terminator characters
+ * @param {Scanner} scanner
+ * @param {string} terminators - Characters that end the list
+ * @param {string} axis - "column" or "row", for error messages
+ * @returns {{count: number, weights: number[]|undefined}}
+ */
+function parseTrackList(scanner, terminators, axis) {
+    const tracks = [parseTrack(scanner)];
+    while (!scanner.atEnd() && !terminators.includes(scanner.peek())) {
+        if (scanner.peek() === ',') scanner.pos++;
+        tracks.push(parseTrack(scanner));
+    }
+
+    // A lone whole number without a unit is a count of equal tracks
+    if (tracks.length === 1 && !tracks[0].fr) {
+        const { value, position } = tracks[0];
+        if (!Number.isInteger(value)) {
+            throw new LayoutSyntaxError(`A ${axis} count must be a whole number (use "${value}fr" for a single weighted ${axis})`, position);
+        }
+        if (value > MAX_GRID_TRACKS) {
+            throw new LayoutSyntaxError(`Too many ${axis}s (${value}) - at most ${MAX_GRID_TRACKS} are allowed`, position);
+        }
+        return { count: value, weights: undefined };
+    }
+
+    if (tracks.length > MAX_GRID_TRACKS) {
+        throw new LayoutSyntaxError(`Too many ${axis}s (${tracks.length}) - at most ${MAX_GRID_TRACKS} are allowed`, tracks[MAX_GRID_TRACKS].position);
+    }
+    let weights = tracks.map(t => t.value);
+    // Equal weights carry no information - keep stored layouts compact
+    if (weights.every(w => w === weights[0])) weights = undefined;
+    return { count: tracks.length, weights };
+}
+
+/**
+ * Parse the grid form: "<columns> [| <rows>]"
+ * @param {Scanner} scanner
+ * @returns {{cols: Object, rows: Object|null}}
+ */
+function parseGridForm(scanner) {
+    const cols = parseTrackList(scanner, '|', 'column');
+    let rows = null;
+    if (!scanner.atEnd()) {
+        scanner.pos++; // the "|"
+        rows = parseTrackList(scanner, '|', 'row');
+        if (!scanner.atEnd()) {
+            throw new LayoutSyntaxError('Only one "|" is allowed (columns | rows)', scanner.pos);
+        }
+    }
+    return { cols, rows };
+}
+
+/**
+ * Parse the clause form: "cols:<tracks>;rows:<tracks>"
+ * @param {Scanner} scanner
+ * @returns {{cols: Object|null, rows: Object|null}}
+ */
+function parseClauseForm(scanner) {
+    const result = { cols: null, rows: null };
+    while (!scanner.atEnd()) {
+        scanner.skipSpaces();
+        const keyStart = scanner.pos;
+        const key = scanner.readWhile(/[a-z]/i).toLowerCase();
+        const axis = key === 'cols' || key === 'columns' ? 'cols'
+            : key === 'rows' ? 'rows'
+            : null;
+        if (!axis) {
+            throw new LayoutSyntaxError(key ? `Unknown key "${key}" - expected "cols" or "rows"` : 'Expected "cols" or "rows"', keyStart);
+        }
+        if (result[axis]) {
+            throw new LayoutSyntaxError(`"${axis}" is given more than once`, keyStart);
+        }
+        if (scanner.peek() !== ':') {
+            throw new LayoutSyntaxError(`Expected ":" after "${key}"`, scanner.pos);
+        }
+        scanner.pos++;
+        result[axis] = parseTrackList(scanner, ';', axis === 'cols' ? 'column' : 'row');
+        if (scanner.peek() === ';') scanner.pos++;
+    }
+    if (!result.cols && !result.rows) {
+        throw new LayoutSyntaxError('Expected "cols" or "rows"', scanner.pos);
+    }
+    return result;
+}
+
+/**
+ * Parse a layout description
+ * @param {string} text - e.g. "2fr 1fr | 1fr 1fr" or "cols:1,2,1;rows:2"
+ * @param {Object} [options]
+ * @param {number} [options.start=0] - Offset to start parsing at (for error positions in longer strings)
+ * @param {number} [options.end] - Offset to stop parsing at (exclusive)
+ * @returns {{cols: number, rows: number, colWeights?: number[], rowWeights?: number[], zones: Array<{id: string, col: number, row: number}>}}
+ * @throws {LayoutSyntaxError} With the position of the first problem
+ */
+export function parseLayoutSpec(text, { start = 0, end } = {}) {
+    if (typeof text !== 'string') {
+        throw new LayoutSyntaxError('Layout description must be a string', 0);
+    }
+    const scanner = new Scanner(text, start, end ?? text.length);
+    if (scanner.atEnd()) {
+        throw new LayoutSyntaxError('Layout description is empty', scanner.pos);
+    }
+
+    const isClauseForm = text.slice(start, scanner.end).includes(':');
+    const axes = isClauseForm ? parseClauseForm(scanner) : parseGridForm(scanner);
+    const cols = axes.cols ?? { count: 1 };
+    const rows = axes.rows ?? { count: 1 };
+
+    const layout = { cols: cols.count, rows: rows.count };
+    if (cols.weights) layout.colWeights = cols.weights;
+    if (rows.weights) layout.rowWeights = rows.weights;
+    layout.zones = [];
+    for (let row = 0; row < rows.count; row++) {
+        for (let col = 0; col < cols.count; col++) {
+            layout.zones.push({ id: `r${row}c${col}`, col, row });
+        }
+    }
+    return layout;
+}
+
+/**
+ * Parse several layout descriptions separated by "&", each optionally named
+ * with "Label = ...". Errors do not stop parsing; their positions refer to
+ * the full string.
+ * @param {string} text - e.g. "Wide = 2fr 1fr & cols:1,2,1;rows:2"
+ * @returns {{layouts: Array<{label: string|null, spec: string, layout: Object}>, errors: LayoutSyntaxError[]}}
+ */
+export function parseLayoutList(text) {
+    const layouts = [];
+    const errors = [];
+    if (typeof text !== 'string' || !text.trim()) return { layouts, errors };
+
+    let segmentStart = 0;
+    for (const segment of text.split(LAYOUT_LIST_SEPARATOR)) {
+        const segmentEnd = segmentStart + segment.length;
+        let specStart = segmentStart;
+        let label = null;
+
+        const equals = segment.indexOf('=');
+        if (equals !== -1) {
+            label = segment.slice(0, equals).trim();
+            specStart = segmentStart + equals + 1;
+            if (!label) errors.push(new LayoutSyntaxError('Expected a label before "="', segmentStart + equals));
+        }
+
+        if (segment.trim()) {
+            try {
+                const layout = parseLayoutSpec(text, { start: specStart, end: segmentEnd });
+                if (equals === -1 || label) {
+                    layouts.push({ label, spec: text.slice(specStart, segmentEnd).trim(), layout });
+                }
+            } catch (error) {
+                if (!(error instanceof LayoutSyntaxError)) throw error;
+                errors.push(error);
+            }
+        }
+
+        segmentStart = segmentEnd + LAYOUT_LIST_SEPARATOR.length;
+    }
+    return { layouts, errors };
+}
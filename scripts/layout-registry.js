@@ -0,0 +1,77 @@
+/**
+ * Registry for layouts contributed by other modules and game systems.
+ *
+ * Layouts registered here are merged into calculateAvailableLayouts() next to
+ * the built-in and user-defined layouts, so they show up in the snap bar and
+ * can be targeted by calculateZoneRect() like any other layout.
+ * Every change fires the `windowMaximizer.layoutsChanged` hook.
+ */
+
+import { validateLayout } from './layout-schema.js';
+
+export class LayoutRegistry {
+    /** @type {Map<string, Object>} */
+    #layouts = new Map();
+
+    /**
+     * Register (or replace) a layout
+     * @param {Object} layout - Layout definition ({id, label, cols, rows, zones, ...})
+     * @returns {Object} - A copy of the stored layout
+     * @throws {Error} If the layout definition is invalid
+     */
+    register(layout) {
+        const errors = validateLayout(layout);
+        if (errors.length > 0) {
+            throw new Error(`Window Maximizer | Invalid layout "${layout?.id ?? 'unknown'}": ${errors.join('; ')}`);
+        }
+
+        const entry = foundry.utils.deepClone(layout);
+        entry.label = entry.label || entry.id;
+        entry.class = entry.class || 'layout-registered';
+
+        const replaced = this.#layouts.has(entry.id);
+        this.#layouts.set(entry.id, entry);
+        Hooks.callAll('windowMaximizer.layoutsChanged', {
+            source: 'api',
+            action: replaced ? 'replace' : 'register',
+            layoutId: entry.id
+        });
+
+        return foundry.utils.deepClone(entry);
+    }
+
+    /**
+     * Remove a registered layout
+     * @param {string} layoutId
+     * @returns {boolean} - True if a layout was removed
+     */
+    unregister(layoutId) {
+        if (!this.#layouts.delete(layoutId)) return false;
+        Hooks.callAll('windowMaximizer.layoutsChanged', {
+            source: 'api',
+            action: 'unregister',
+            layoutId
+        });
+        return true;
+    }
+
+    /**
+     * Check whether a layout id is registered
+     * @param {string} layoutId
+     * @returns {boolean}
+     */
+    has(layoutId) {
+        return this.#layouts.has(layoutId);
+    }
+
+    /**
+     * Get copies of all registered layouts, in registration order
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return Array.from(this.#layouts.values(), layout => foundry.utils.deepClone(layout));
+    }
+}
+
+/** Shared registry instance used by the layouter and the public API */
+export const layoutRegistry = new LayoutRegistry();
@@ -0,0 +1,173 @@
+/**
+ * Validation for layout definitions.
+ *
+ * A layout is the plain object shape produced by calculateAvailableLayouts():
+ *   { id, label, cols, rows, colWeights?, rowWeights?, minWidth?, minHeight?,
+ *     zones: [{ id, col, row, colSpan?, rowSpan?, layout? }] }
+ *
+ * A zone's optional `layout` ({ cols, rows, colWeights?, rowWeights?, zones })
+ * subdivides it into nested zones (see layout-tree.js).
+ *
+ * Validation never throws — it returns a list of human-readable errors so
+ * callers (layout editor, stored settings) can decide how to report them.
+ */
+
+import { ZONE_PATH_SEPARATOR, MAX_NESTING_DEPTH } from './layout-tree.js';
+import { isReservedLayoutId } from './layout-ids.js';
+
+// Upper bound for grid dimensions; keeps the minimap and editor usable
+export const MAX_GRID_TRACKS = 12;
+
+/**
+ * Validate a layout definition.
+ * @param {Object} layout - The layout to validate
+ * @returns {string[]} - List of error messages (empty if the layout is valid)
+ */
+export function validateLayout(layout) {
+    const errors = [];
+
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+        return ['Layout must be an object'];
+    }
+
+    if (typeof layout.id !== 'string' || !layout.id.trim()) {
+        errors.push('id: must be a non-empty string');
+    } else if (isReservedLayoutId(layout.id)) {
+        errors.push(`id: "${layout.id}" is reserved by Window Maximizer`);
+    }
+    if (layout.label !== undefined && typeof layout.label !== 'string') {
+        errors.push('label: must be a string');
+    }
+
+    for (const key of ['minWidth', 'minHeight']) {
+        const value = layout[key];
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            errors.push(`${key}: must be a non-negative number of pixels`);
+        }
+    }
+
+    validateGrid(layout, '', 0, errors);
+    return errors;
+}
+
+/**
+ * Validate the grid part of a layout (tracks, weights and zones) and recurse
+ * into zones that are subdivided by their own sub-layout.
+ * @param {Object} grid - Layout or sub-layout
+ * @param {string} prefix - Path prefix for error messages ('' for the root)
+ * @param {number} depth - Nesting depth of this grid (0 for the root)
+ * @param {string[]} errors - Collected error messages
+ */
+function validateGrid(grid, prefix, depth, errors) {
+    const startCount = errors.length;
+    const cols = grid.cols;
+    const rows = grid.rows;
+    if (!Number.isInteger(cols) || cols < 1 || cols > MAX_GRID_TRACKS) {
+        errors.push(`${prefix}cols: must be an integer between 1 and ${MAX_GRID_TRACKS}`);
+    }
+    if (!Number.isInteger(rows) || rows < 1 || rows > MAX_GRID_TRACKS) {
+        errors.push(`${prefix}rows: must be an integer between 1 and ${MAX_GRID_TRACKS}`);
+    }
+
+    for (const [key, count] of [['colWeights', cols], ['rowWeights', rows]]) {
+        const weights = grid[key];
+        if (weights === undefined) continue;
+        if (!Array.isArray(weights) || weights.length !== count) {
+            errors.push(`${prefix}${key}: must be an array with one weight per ${key === 'colWeights' ? 'column' : 'row'} (${count})`);
+        } else if (weights.some(w => typeof w !== 'number' || !Number.isFinite(w) || w <= 0)) {
+            errors.push(`${prefix}${key}: weights must be positive numbers`);
+        }
+    }
+
+    if (!Array.isArray(grid.zones) || grid.zones.length === 0) {
+        errors.push(`${prefix}zones: must be a non-empty array`);
+        return;
+    }
+
+    // Grid bounds are only meaningful if cols/rows are valid
+    if (errors.length > startCount) return;
+
+    const seenIds = new Set();
+    const occupied = new Map(); // "col,row" -> zone id
+
+    grid.zones.forEach((zone, index) => {
+        const path = `${prefix}zones[${index}]`;
+        if (!zone || typeof zone !== 'object') {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+
+        if (typeof zone.id !== 'string' || !zone.id.trim()) {
+            errors.push(`${path}.id: must be a non-empty string`);
+        } else if (zone.id.includes(ZONE_PATH_SEPARATOR)) {
+            errors.push(`${path}.id: must not contain "${ZONE_PATH_SEPARATOR}"`);
+        } else if (seenIds.has(zone.id)) {
+            errors.push(`${path}.id: duplicate zone id "${zone.id}"`);
+        } else {
+            seenIds.add(zone.id);
+        }
+
+        if (zone.layout !== undefined) {
+            if (!zone.layout || typeof zone.layout !== 'object' || Array.isArray(zone.layout)) {
+                errors.push(`${path}.layout: must be an object`);
+            } else if (depth + 1 > MAX_NESTING_DEPTH) {
+                errors.push(`${path}.layout: zones may be nested at most ${MAX_NESTING_DEPTH} levels deep`);
+            } else {
+                validateGrid(zone.layout, `${path}.layout.`, depth + 1, errors);
+            }
+        }
+
+        const colSpan = zone.colSpan ?? 1;
+        const rowSpan = zone.rowSpan ?? 1;
+        let valid = true;
+
+        if (!Number.isInteger(zone.col) || zone.col < 0 || zone.col >= cols) {
+            errors.push(`${path}.col: must be an integer between 0 and ${cols - 1}`);
+            valid = false;
+        }
+        if (!Number.isInteger(zone.row) || zone.row < 0 || zone.row >= rows) {
+            errors.push(`${path}.row: must be an integer between 0 and ${rows - 1}`);
+            valid = false;
+        }
+        if (!Number.isInteger(colSpan) || colSpan < 1) {
+            errors.push(`${path}.colSpan: must be a positive integer`);
+            valid = false;
+        }
+        if (!Number.isInteger(rowSpan) || rowSpan < 1) {
+            errors.push(`${path}.rowSpan: must be a positive integer`);
+            valid = false;
+        }
+        if (!valid) return;
+
+        if (zone.col + colSpan > cols) {
+            errors.push(`${path}.colSpan: zone extends past column ${cols - 1}`);
+            return;
+        }
+        if (zone.row + rowSpan > rows) {
+            errors.push(`${path}.rowSpan: zone extends past row ${rows - 1}`);
+            return;
+        }
+
+        // Zones may not share cells
+        for (let r = zone.row; r < zone.row + rowSpan; r++) {
+            for (let c = zone.col; c < zone.col + colSpan; c++) {
+                const cellKey = `${c},${r}`;
+                const owner = occupied.get(cellKey);
+                if (owner !== undefined) {
+                    errors.push(`${path}: overlaps zone "${owner}" at column ${c}, row ${r}`);
+                    return;
+                }
+                occupied.set(cellKey, zone.id);
+            }
+        }
+    });
+}
+
+/**
+ * Check whether a layout definition is valid.
+ * @param {Object} layout - The layout to check
+ * @returns {boolean}
+ */
+export function isValidLayout(layout) {
+    return validateLayout(layout).length === 0;
+}
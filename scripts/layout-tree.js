@@ -0,0 +1,115 @@
+/**
+ * Nested zones.
+ *
+ * Any zone may carry its own `layout` (cols, rows, optional weights and zones)
+ * that subdivides it further, turning a layout into a tree:
+ *
+ *   {
+ *     id: 'split-2-stacked', cols: 2, rows: 1,
+ *     zones: [
+ *       { id: 'left', col: 0, row: 0 },
+ *       { id: 'right', col: 1, row: 0, layout: {
+ *           cols: 1, rows: 3,
+ *           zones: [{ id: 'top', col: 0, row: 0 }, { id: 'middle', col: 0, row: 1 }, { id: 'bottom', col: 0, row: 2 }]
+ *       } }
+ *     ]
+ *   }
+ *
+ * Zones are addressed by their path from the root, joined with "/"
+ * (e.g. "right/top"). Only leaf zones (zones without a sub-layout) are snap
+ * targets; a zone with a sub-layout is just a container for its children.
+ */
+
+import { getZoneRect } from './layout-geometry.js';
+
+export const ZONE_PATH_SEPARATOR = '/';
+
+// Deepest allowed nesting below the top-level grid; keeps minimap cells usable
+export const MAX_NESTING_DEPTH = 3;
+
+/**
+ * Split a zone path into its segments
+ * @param {string} zonePath - e.g. "right/top"
+ * @returns {string[]}
+ */
+export function splitZonePath(zonePath) {
+    return String(zonePath ?? '').split(ZONE_PATH_SEPARATOR);
+}
+
+/**
+ * Join zone ids into a path
+ * @param {...string} ids
+ * @returns {string}
+ */
+export function joinZonePath(...ids) {
+    return ids.filter(id => id !== undefined && id !== '').join(ZONE_PATH_SEPARATOR);
+}
+
+/**
+ * Resolve a zone path to the chain of zones leading to it
+ * @param {Object} layout - Root layout
+ * @param {string} zonePath - Path of zone ids
+ * @returns {Array<{grid: Object, zone: Object}>|null} - One entry per level, from the
+ *   root down (grid is the layout the zone belongs to), or null if the path does not exist
+ */
+export function resolveZonePath(layout, zonePath) {
+    const chain = [];
+    let grid = layout;
+    for (const id of splitZonePath(zonePath)) {
+        const zone = grid?.zones?.find(z => z.id === id);
+        if (!zone) return null;
+        chain.push({ grid, zone });
+        grid = zone.layout;
+    }
+    return chain.length > 0 ? chain : null;
+}
+
+/**
+ * Check whether a zone path points at a leaf zone (a valid snap target)
+ * @param {Object} layout - Root layout
+ * @param {string} zonePath
+ * @returns {boolean}
+ */
+export function isLeafZonePath(layout, zonePath) {
+    const chain = resolveZonePath(layout, zonePath);
+    return !!chain && !chain[chain.length - 1].zone.layout;
+}
+
+/**
+ * List every leaf zone of a layout in reading order, depth first
+ * @param {Object} layout - Root layout
+ * @returns {Array<{path: string, zone: Object, depth: number}>}
+ */
+export function getLeafZones(layout) {
+    const leaves = [];
+    const visit = (grid, prefix, depth) => {
+        for (const zone of grid.zones ?? []) {
+            const path = joinZonePath(prefix, zone.id);
+            if (zone.layout) visit(zone.layout, path, depth + 1);
+            else leaves.push({ path, zone, depth });
+        }
+    };
+    visit(layout, '', 0);
+    return leaves;
+}
+
+/**
+ * Calculate the pixel rect of a (possibly nested) zone. Each level is laid
+ * out inside the rect of its parent zone; the outer margin only applies to
+ * the root, the inner gap applies between siblings at every level.
+ * @param {Object} layout - Root layout
+ * @param {string} zonePath - Path of zone ids
+ * @param {{x: number, y: number, w: number, h: number}} area - The area the root layout fills
+ * @param {{gap?: number, margin?: number}} [spacing] - Inner gap and outer margin in pixels
+ * @returns {{x: number, y: number, w: number, h: number}|null} - Null if the path does not exist
+ */
+export function getZoneRectByPath(layout, zonePath, area, { gap = 0, margin = 0 } = {}) {
+    const chain = resolveZonePath(layout, zonePath);
+    if (!chain) return null;
+
+    let rect = area;
+    chain.forEach(({ grid, zone }, depth) => {
+        rect = getZoneRect(grid, zone, rect, { gap, margin: depth === 0 ? margin : 0 });
+    });
+    return rect;
+}
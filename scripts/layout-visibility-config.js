@@ -0,0 +1,166 @@
+/**
+ * Layout Visibility - settings menu application to pin, hide and tune the
+ * availability thresholds of every known layout (built-in, module-registered
+ * and user-defined). Overrides are stored in the `layoutVisibility` client
+ * setting and applied by calculateAvailableLayouts().
+ */
+
+import { MODULE_ID } from './settings.js';
+import {
+    getKnownLayouts,
+    getLayoutVisibility,
+    resolveVisibilityRule,
+    LAYOUT_VISIBILITY_MODES
+} from './layout-catalog.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+// Human-readable names for the layout sources shown in the table
+const SOURCE_LABELS = {
+    builtin: 'Built-in',
+    module: 'Module',
+    custom: 'Custom',
+    quick: 'Quick'
+};
+
+export class LayoutVisibilityConfig extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: 'window-maximizer-layout-visibility',
+        classes: ['window-maximizer-layout-visibility'],
+        window: {
+            title: 'Window Maximizer: Layout Visibility',
+            icon: 'fas fa-eye',
+            resizable: true
+        },
+        position: {
+            width: 560,
+            height: 'auto'
+        },
+        actions: {
+            saveVisibility: LayoutVisibilityConfig.#onSaveVisibility,
+            resetVisibility: LayoutVisibilityConfig.#onResetVisibility
+        }
+    };
+
+    /** @override */
+    async _renderHTML(context, options) {
+        const overrides = getLayoutVisibility();
+        const root = document.createElement('div');
+        root.className = 'wm-visibility';
+
+        const hint = document.createElement('p');
+        hint.className = 'hint';
+        hint.textContent = 'Automatic layouts appear once the layout area is at least the given size. '
+            + 'Leave a field empty to use the default shown in grey.';
+        root.appendChild(hint);
+
+        const table = document.createElement('table');
+        table.innerHTML = `
+            <thead>
+                <tr><th>Layout</th><th>Source</th><th>Show</th><th>Min Width</th><th>Min Height</th></tr>
+            </thead>`;
+        const body = document.createElement('tbody');
+
+        for (const layout of getKnownLayouts()) {
+            const override = overrides[layout.id] ?? {};
+            const defaults = resolveVisibilityRule(layout);
+            const row = document.createElement('tr');
+            row.dataset.layoutId = layout.id;
+
+            const name = document.createElement('td');
+            name.textContent = layout.label || layout.id;
+            const source = document.createElement('td');
+            source.textContent = SOURCE_LABELS[layout.source] ?? layout.source;
+
+            const modeCell = document.createElement('td');
+            const select = document.createElement('select');
+            select.name = 'mode';
+            for (const [value, label] of Object.entries(LAYOUT_VISIBILITY_MODES)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = (override.mode ?? 'auto') === value;
+                select.appendChild(option);
+            }
+            modeCell.appendChild(select);
+
+            row.append(name, source, modeCell);
+            for (const key of ['minWidth', 'minHeight']) {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.name = key;
+                input.min = '0';
+                input.step = '1';
+                input.placeholder = String(defaults[key]);
+                input.value = Number.isFinite(override[key]) ? String(override[key]) : '';
+                // Thresholds do not apply to layouts that are always offered
+                input.disabled = !!layout.always;
+                cell.appendChild(input);
+                row.appendChild(cell);
+            }
+
+            body.appendChild(row);
+        }
+
+        table.appendChild(body);
+        root.appendChild(table);
+
+        const footer = document.createElement('footer');
+        footer.className = 'wm-visibility-footer';
+        footer.innerHTML = `
+            <button type="button" data-action="resetVisibility"><i class="fas fa-undo"></i> Reset</button>
+            <button type="button" data-action="saveVisibility"><i class="fas fa-save"></i> Save</button>`;
+        root.appendChild(footer);
+
+        return root;
+    }
+
+    /** @override */
+    _replaceHTML(result, content, options) {
+        content.replaceChildren(result);
+    }
+
+    /**
+     * Collect the overrides entered in the table. Rows left at their defaults
+     * are omitted so future changes to built-in thresholds still apply.
+     * @returns {Record<string, {mode?: string, minWidth?: number, minHeight?: number}>}
+     */
+    #readOverrides() {
+        const overrides = {};
+        for (const row of this.element.querySelectorAll('tr[data-layout-id]')) {
+            const entry = {};
+            const mode = row.querySelector('select[name="mode"]').value;
+            if (mode !== 'auto') entry.mode = mode;
+
+            for (const key of ['minWidth', 'minHeight']) {
+                const raw = row.querySelector(`input[name="${key}"]`).value.trim();
+                if (!raw) continue;
+                const value = Number(raw);
+                if (Number.isFinite(value) && value >= 0) entry[key] = value;
+            }
+
+            if (Object.keys(entry).length > 0) overrides[row.dataset.layoutId] = entry;
+        }
+        return overrides;
+    }
+
+    /**
+     * Save the overrides
+     * @this {LayoutVisibilityConfig}
+     */
+    static async #onSaveVisibility(event, target) {
+        await game.settings.set(MODULE_ID, 'layoutVisibility', this.#readOverrides());
+        ui.notifications.info('Window Maximizer | Layout visibility saved');
+        this.close();
+    }
+
+    /**
+     * Drop all overrides
+     * @this {LayoutVisibilityConfig}
+     */
+    static async #onResetVisibility(event, target) {
+        await game.settings.set(MODULE_ID, 'layoutVisibility', {});
+        this.render();
+    }
+}
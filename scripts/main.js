@@ -1,6 +1,11 @@
 import { SnapLayouter } from './snap-layouter.js';
 import { SavrasLib } from './savras-lib.js';
 import { UsageTracker } from './usage-tracker.js';
+import { registerSettings } from './settings.js';
+import { registerKeybindings } from './keybindings.js';
+import { createModuleApi } from './api.js';
+import { WorkspaceManager, notifyWorkspaceApplied } from './workspace-manager.js';
+import { getSceneWorkspace, applyWorkspace } from './workspaces.js';
 
 const telemetry = new SavrasLib({
     moduleId: 'window-maximizer',
@@ -146,34 +151,22 @@ function cleanupDragTracking() {
     console.log('Window Maximizer | Drag tracking cleanup complete');
 }
 
-// Register module settings
+// Register module settings and keybindings and expose the public API
 Hooks.once('init', () => {
-    game.settings.register('window-maximizer', 'debugMode', {
-        name: 'Window Maximizer | Debug Mode',
-        hint: 'Enable verbose console logging for troubleshooting',
-        scope: 'client',
-        config: true,
-        type: Boolean,
-        default: false,
-        requiresReload: false
-    });
+    registerSettings();
+    registerKeybindings({ getLayouter: () => layouter });
 
-    game.settings.register('window-maximizer', 'showMaximizeButton', {
-        name: 'Show Maximize Button',
-        hint: 'Display a maximize button in window headers (Application v2 only). Requires reload to take effect.',
-        scope: 'client',
-        config: true,
-        type: Boolean,
-        default: true,
-        onChange: () => {
-            ui.notifications.info('Window Maximizer | Reload required for button visibility changes to take effect');
-        }
-    });
+    const mod = game.modules.get('window-maximizer');
+    if (mod) {
+        mod.api = createModuleApi({ getLayouter: () => layouter });
+    }
 });
 
 Hooks.once('ready', async () => {
     debugLog('Ready Hook Fired');
     layouter = new SnapLayouter();
+    // Not awaited: checking that the documents still exist may hit compendiums
+    layouter.loadPersistedStates().catch(error => debugLog('Failed to load persisted window states:', error));
 
     // Patch Draggable for AppV1 windows
     patchDraggable();
@@ -211,6 +204,19 @@ Hooks.once('ready', async () => {
 Hooks.on('closeApplicationV2', (app) => removeTrackedButtonListeners(app));
 Hooks.on('closeApplication', (app) => removeTrackedButtonListeners(app));
 
+// Switch to the workspace linked to a scene when the GM activates it.
+// updateScene runs on every client, so each user gets their own workspace.
+Hooks.on('updateScene', async (scene, changes) => {
+    if (!layouter || changes.active !== true) return;
+    const workspace = getSceneWorkspace(scene.id);
+    if (!workspace) return;
+
+    debugLog(`Scene "${scene.name}" activated, switching to workspace "${workspace.name}"`);
+    tracker.track('workspace-switch', { source: 'sceneActivation' });
+    const summary = await applyWorkspace(layouter, workspace.id);
+    if (summary) notifyWorkspaceApplied(workspace.name, summary);
+});
+
 // Add Restore All button to scene controls
 // Compatible with FoundryVTT v12 (array form) and v13+ (Record/object form).
 // v12: controls is Array<SceneControl>, each with tools: SceneControlTool[]
@@ -252,12 +258,23 @@ Hooks.on('getSceneControlButtons', (controls) => {
         }
     };
 
+    const workspacesTool = {
+        name: 'window-maximizer-workspaces',
+        title: 'Window Workspaces',
+        icon: 'fas fa-object-group',
+        button: true,
+        visible: true,
+        onClick: () => new WorkspaceManager().render(true)
+    };
+
     // v12: controls is an Array
     if (Array.isArray(controls)) {
         const tokenControls = controls.find(c => c?.name === 'token');
         if (!tokenControls || !Array.isArray(tokenControls.tools)) return;
-        if (tokenControls.tools.some(t => t?.name === restoreTool.name)) return;
-        tokenControls.tools.push(restoreTool);
+        for (const tool of [restoreTool, workspacesTool]) {
+            if (tokenControls.tools.some(t => t?.name === tool.name)) continue;
+            tokenControls.tools.push(tool);
+        }
         return;
     }
 
@@ -266,12 +283,14 @@ Hooks.on('getSceneControlButtons', (controls) => {
     const tokenControl = controls?.tokens ?? controls?.token;
     if (!tokenControl || !tokenControl.tools) return;
 
-    if (Array.isArray(tokenControl.tools)) {
-        if (tokenControl.tools.some(t => t?.name === restoreTool.name)) return;
-        tokenControl.tools.push(restoreTool);
-    } else if (typeof tokenControl.tools === 'object') {
-        if (tokenControl.tools[restoreTool.name]) return;
-        tokenControl.tools[restoreTool.name] = restoreTool;
+    for (const tool of [restoreTool, workspacesTool]) {
+        if (Array.isArray(tokenControl.tools)) {
+            if (tokenControl.tools.some(t => t?.name === tool.name)) continue;
+            tokenControl.tools.push(tool);
+        } else if (typeof tokenControl.tools === 'object') {
+            if (tokenControl.tools[tool.name]) continue;
+            tokenControl.tools[tool.name] = tool;
+        }
     }
 });
 
@@ -470,10 +489,11 @@ function unsnapForDrag(app, event) {
     let newLeft = Math.round(event.clientX - ratioX * orig.width);
     let newTop = Math.round(event.clientY - 15);
 
-    // Clamp to viewport so the restored window stays reachable
-    const maxLeft = Math.max(0, window.innerWidth - orig.width);
-    newLeft = Math.max(0, Math.min(newLeft, maxLeft));
-    newTop = Math.max(0, Math.min(newTop, Math.max(0, window.innerHeight - 50)));
+    // Clamp to the work area so the restored window stays reachable
+    const area = layouter.getWorkArea();
+    const maxLeft = Math.max(area.x, area.x + area.w - orig.width);
+    newLeft = Math.max(area.x, Math.min(newLeft, maxLeft));
+    newTop = Math.max(area.y, Math.min(newTop, Math.max(area.y, area.y + area.h - 50)));
 
     const newPos = {
         left: newLeft,
@@ -483,13 +503,16 @@ function unsnapForDrag(app, event) {
     };
 
     try {
-        app.setPosition(newPos);
+        // Never animated: the window has to stay under the cursor
+        layouter.setAppPosition(app, newPos, { animate: false });
     } catch (error) {
         debugLog('unsnapForDrag: setPosition failed', error);
         return null;
     }
 
-    // Clear snap state so the window is considered "free" again
+    // Clear snap state so the window is considered "free" again. The zone is
+    // remembered for the rest of the drag so a swap can move occupants into it.
+    layouter.vacatedZone = { app, zoneInfo: state.zoneInfo };
     layouter.appStateMap.delete(app);
     try { layouter.registry.removeState(app); } catch (e) { /* non-fatal */ }
     try { layouter.updateHeaderButton(app); } catch (e) { /* non-fatal */ }
@@ -587,18 +610,30 @@ function patchDraggable() {
         if (!app) return;
         if (!layouter) return;
 
-        // Check distance to top
-        if (event.clientY < 10) {
-            if (!layouter.activeApp) {
-                layouter.show(app);
-            }
-        } else if (layouter.activeApp) {
-            // Hide overlay when mouse moves below the overlay area (250px)
-            // This provides a responsive auto-hide experience
-            const overlayHeight = 250; // Match CSS #window-maximizer-overlay height
-            if (event.clientY > overlayHeight) {
-                layouter.hide();
-            }
+        // Modifier keys: one turns snapping off while held, the other
+        // summons the overlay at the cursor
+        const modifiers = layouter.updateDragModifiers(event);
+        if (modifiers.suppress) {
+            layouter.suppressDragSnapping();
+            return;
+        }
+        if (modifiers.summon) {
+            layouter.summonOverlay(app, event.clientX, event.clientY);
+        } else {
+            layouter.releaseSummonedOverlay();
+
+            // Aero-style edge snapping: left/right edges and corners take
+            // precedence over the overlay bar
+            if (layouter.updateEdgeSnap(app, event.clientX, event.clientY)) return;
+
+            // Show the overlay near its screen edge, hide it beyond the hide distance
+            layouter.updateOverlayForDrag(app, event.clientX, event.clientY);
+        }
+
+        // Touch and pen drags keep pointer capture on the header, so the
+        // zones never see the pointer - follow it by position instead
+        if (layouter.activeApp && event.pointerType && event.pointerType !== 'mouse') {
+            layouter.trackZoneAtPosition(event.clientX, event.clientY);
         }
     };
 
@@ -622,6 +657,18 @@ function patchDraggable() {
         // Reset the per-drag unsnap guard so the next drag can unsnap again.
         this._windowMaximizerUnsnapped = false;
 
+        // Released at a screen edge: snap to the previewed half or quarter.
+        // Otherwise drop by position if no zone handled the release (a zone
+        // that did has already cleared activeApp), as with touch and pen.
+        // Hide right away: touch sends no mouseleave to close the overlay.
+        if (layouter && !layouter.commitEdgeSnap() && layouter.activeApp
+            && layouter.dropAtPosition(event.clientX, event.clientY, 'overlayDrop')) {
+            layouter.hide();
+        }
+
+        // Any zone drop has been handled by now
+        if (layouter) layouter.vacatedZone = null;
+
         // Ensure hidden
         if (layouter && layouter.activeApp && !layouter.activeZone) {
             layouter.hide();
@@ -648,7 +695,7 @@ const ADAPTIVE_POLLING_CONFIG = {
 /**
  * Setup ApplicationV2 drag tracking via pointer events
  * ApplicationV2 in Foundry V13 uses a different drag system than AppV1
- * This detects when AppV2 windows are being dragged near the top edge
+ * This detects when AppV2 windows are being dragged near the overlay edge
  *
  * Features adaptive polling interval based on drag speed:
  * - Fast movement (>2.0 px/ms): 50ms interval
@@ -802,18 +849,15 @@ function setupAppV2DragTracking() {
                 lastPollPosition = { x: currentX, y: currentY };
                 lastPollTime = now;
 
-                // Check if window is near top edge
-                if (rect.top < 10) {
-                    if (layouter && !layouter.activeApp) {
-                        debugLog('Showing overlay (via adaptive poll)');
-                        layouter.show(draggingAppV2);
-                    }
+                // Check if window reached the overlay edge (unless an edge snap is pending)
+                if (layouter) {
+                    layouter.updateOverlayForWindow(draggingAppV2, rect);
                 }
             }
         }
     }
 
-    // Track pointer movement to detect drag near top edge
+    // Track pointer movement to detect drag near the overlay edge
     addDragTrackedListener(document, 'pointermove', (event) => {
         if (!draggingAppV2) return;
 
@@ -849,39 +893,33 @@ function setupAppV2DragTracking() {
             }
         }
 
-        // Check distance to top edge of viewport
-        if (event.clientY < 10) {
-            if (layouter && !layouter.activeApp) {
-                debugLog('Showing overlay at clientY:', event.clientY);
-                layouter.show(draggingAppV2);
-            }
-        } else if (layouter && layouter.activeApp) {
-            // Hide overlay when mouse moves below the overlay area
-            const overlayHeight = 250;
-            if (event.clientY > overlayHeight) {
-                debugLog('Hiding overlay at clientY:', event.clientY);
-                layouter.hide();
-            }
+        if (!layouter) return;
+
+        // Modifier keys: one turns snapping off while held, the other
+        // summons the overlay at the cursor
+        const modifiers = layouter.updateDragModifiers(event);
+        if (modifiers.suppress) {
+            layouter.suppressDragSnapping();
+            return;
+        }
+        if (modifiers.summon) {
+            layouter.summonOverlay(draggingAppV2, event.clientX, event.clientY);
+        } else {
+            layouter.releaseSummonedOverlay();
 
+            // Aero-style edge snapping: left/right edges and corners take
+            // precedence over the overlay bar
+            if (layouter.updateEdgeSnap(draggingAppV2, event.clientX, event.clientY)) return;
+
+            // Show the overlay near its screen edge, hide it beyond the hide distance
+            layouter.updateOverlayForDrag(draggingAppV2, event.clientX, event.clientY);
+        }
+
+        if (layouter.activeApp) {
             // Manual zone tracking during drag
             // During pointer drag, pointerenter events are not sent to zones
             // So we need to manually check which zone is under the cursor
-            if (event.clientY <= overlayHeight) {
-                const zoneInfo = layouter.findZoneAtPosition(event.clientX, event.clientY);
-                if (zoneInfo) {
-                    // Check if zone changed to avoid redundant calls
-                    const currentZone = layouter.activeZone;
-                    if (!currentZone || currentZone.layoutId !== zoneInfo.layoutId || currentZone.zoneId !== zoneInfo.zoneId) {
-                        debugLog('Hovering over zone:', zoneInfo);
-                        layouter.activateZone(zoneInfo.layoutId, zoneInfo.zoneId);
-                    }
-                } else {
-                    // Not over a zone, deactivate highlight
-                    if (layouter.activeZone) {
-                        layouter.deactivateZone();
-                    }
-                }
-            }
+            layouter.trackZoneAtPosition(event.clientX, event.clientY);
         }
     }, { capture: true, passive: true });
 
@@ -890,24 +928,18 @@ function setupAppV2DragTracking() {
         if (draggingAppV2) {
             debugLog('AppV2 drag ended at', event.clientX, event.clientY);
 
-            // Check if we're over a zone using elementFromPoint
-            if (layouter && layouter.activeApp) {
-                const zoneInfo = layouter.findZoneAtPosition(event.clientX, event.clientY);
-                if (zoneInfo) {
-                    debugLog('Pointer released over zone:', zoneInfo);
-                    const rect = layouter.calculateZoneRect(zoneInfo.layoutId, zoneInfo.zoneId);
-                    if (rect) {
-                        debugLog('Snapping to zone:', zoneInfo.layoutId, zoneInfo.zoneId, rect);
-                        layouter.snapApp(layouter.activeApp, rect, zoneInfo, 'dragSnap');
-                    }
-                } else {
-                    debugLog('Pointer not over a zone');
-                }
+            // Released at a screen edge: snap to the previewed half or quarter.
+            // Otherwise check if we're over a zone using elementFromPoint
+            if (layouter && layouter.commitEdgeSnap()) {
+                debugLog('Pointer released at screen edge');
+            } else if (layouter && layouter.activeApp) {
+                layouter.dropAtPosition(event.clientX, event.clientY, 'dragSnap');
             }
 
             // Ensure overlay is hidden
             if (layouter) {
                 layouter.hide();
+                layouter.vacatedZone = null;
             }
 
             draggingAppV2 = null;
@@ -930,6 +962,7 @@ function setupAppV2DragTracking() {
             debugLog('AppV2 drag cancelled');
 
             if (layouter) {
+                layouter.clearEdgeSnap();
                 layouter.hide();
             }
             draggingAppV2 = null;
@@ -0,0 +1,129 @@
+/**
+ * Overlay placement and drag trigger configuration.
+ *
+ * The overlay sits along one screen edge. Dragging a window within
+ * `triggerDistance` of that edge (for `hoverDelay` ms) shows it; moving more
+ * than `hideDistance` away hides it again. The hide distance is also the
+ * overlay's thickness - applyOverlayConfig() hands it to the stylesheet as
+ * the `--wm-overlay-size` custom property, so the drag code and the CSS
+ * always agree on where the overlay ends.
+ *
+ * Holding the suppress modifier while dragging turns overlay and edge
+ * snapping off; holding the summon modifier opens the overlay right away,
+ * next to the cursor, wherever the window is.
+ */
+
+import { getSetting } from './settings.js';
+
+/**
+ * Screen edges the overlay can be attached to
+ * @type {Record<string, string>}
+ */
+export const OVERLAY_EDGES = {
+    top: 'Top',
+    bottom: 'Bottom',
+    left: 'Left',
+    right: 'Right'
+};
+
+/**
+ * Modifier keys that can suppress or summon snapping during a drag
+ * @type {Record<string, string>}
+ */
+export const DRAG_MODIFIERS = {
+    none: 'None',
+    shift: 'Shift',
+    ctrl: 'Ctrl',
+    alt: 'Alt',
+    meta: 'Meta (Cmd / Windows key)'
+};
+
+export const DEFAULT_TRIGGER_DISTANCE = 10;
+export const DEFAULT_HOVER_DELAY = 0;
+export const DEFAULT_HIDE_DISTANCE = 250;
+
+/**
+ * Read the overlay configuration from the client settings
+ * @returns {{edge: string, triggerDistance: number, hoverDelay: number, hideDistance: number, suppressModifier: string, summonModifier: string}}
+ */
+export function getOverlayConfig() {
+    const edge = getSetting('overlayEdge', 'top');
+    const modifier = (key, fallback) => {
+        const value = getSetting(key, fallback);
+        return value in DRAG_MODIFIERS ? value : fallback;
+    };
+    const number = (key, fallback) => {
+        const value = Number(getSetting(key, fallback));
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    const triggerDistance = Math.max(1, number('overlayTriggerDistance', DEFAULT_TRIGGER_DISTANCE));
+    return {
+        edge: edge in OVERLAY_EDGES ? edge : 'top',
+        triggerDistance,
+        hoverDelay: number('overlayHoverDelay', DEFAULT_HOVER_DELAY),
+        // The overlay must reach past the trigger zone or it would hide immediately
+        hideDistance: Math.max(triggerDistance + 1, number('overlayHideDistance', DEFAULT_HIDE_DISTANCE)),
+        suppressModifier: modifier('dragSuppressModifier', 'shift'),
+        summonModifier: modifier('dragSummonModifier', 'ctrl')
+    };
+}
+
+/**
+ * Check whether a modifier key is held during a pointer or mouse event
+ * @param {MouseEvent} event
+ * @param {string} modifier - Key of DRAG_MODIFIERS
+ * @returns {boolean} - Always false for 'none'
+ */
+export function isModifierHeld(event, modifier) {
+    switch (modifier) {
+        case 'shift': return !!event.shiftKey;
+        case 'ctrl': return !!event.ctrlKey;
+        case 'alt': return !!event.altKey;
+        case 'meta': return !!event.metaKey;
+        default: return false;
+    }
+}
+
+/**
+ * Distance of a point from a screen edge
+ * @param {number} x - Client X
+ * @param {number} y - Client Y
+ * @param {string} edge - Key of OVERLAY_EDGES
+ * @returns {number}
+ */
+export function distanceFromEdge(x, y, edge) {
+    switch (edge) {
+        case 'bottom': return window.innerHeight - y;
+        case 'left': return x;
+        case 'right': return window.innerWidth - x;
+        default: return y;
+    }
+}
+
+/**
+ * Distance of a window's outer side from a screen edge (e.g. its top for the top edge)
+ * @param {DOMRect} rect - Window bounding rect
+ * @param {string} edge - Key of OVERLAY_EDGES
+ * @returns {number}
+ */
+export function rectDistanceFromEdge(rect, edge) {
+    switch (edge) {
+        case 'bottom': return window.innerHeight - rect.bottom;
+        case 'left': return rect.left;
+        case 'right': return window.innerWidth - rect.right;
+        default: return rect.top;
+    }
+}
+
+/**
+ * Apply the configuration to the overlay element
+ * @param {HTMLElement} overlay - #window-maximizer-overlay
+ * @param {{edge: string, hideDistance: number}} config
+ */
+export function applyOverlayConfig(overlay, config) {
+    overlay.dataset.edge = config.edge;
+    overlay.style.setProperty('--wm-overlay-size', `${config.hideDistance}px`);
+    // The bar runs along the edge; tells screen readers which arrow keys move along it
+    const vertical = config.edge === 'left' || config.edge === 'right';
+    overlay.querySelector('#window-maximizer-bar')?.setAttribute('aria-orientation', vertical ? 'vertical' : 'horizontal');
+}
@@ -0,0 +1,444 @@
+/**
+ * Module settings for Window Maximizer.
+ * All game.settings registrations live here so the keys, defaults and
+ * change handlers are defined in one place.
+ */
+
+import { LayoutEditor } from './layout-editor.js';
+import { LayoutVisibilityConfig } from './layout-visibility-config.js';
+import { DEFAULT_MIN_ZONE_WIDTH, DEFAULT_MIN_ZONE_HEIGHT } from './layout-catalog.js';
+import { ConfigTransfer } from './config-transfer.js';
+import { WorkspaceManager } from './workspace-manager.js';
+import { parseLayoutList } from './layout-parser.js';
+import {
+    OVERLAY_EDGES,
+    DRAG_MODIFIERS,
+    DEFAULT_TRIGGER_DISTANCE,
+    DEFAULT_HOVER_DELAY,
+    DEFAULT_HIDE_DISTANCE
+} from './overlay-config.js';
+import { WORK_AREA_REGIONS, CANVAS_RESERVATION_SIDES } from './work-area.js';
+import { OCCUPIED_ZONE_POLICIES } from './drop-choice.js';
+import { ANIMATION_EASINGS, DEFAULT_ANIMATION_DURATION } from './window-animation.js';
+import { DEFAULT_GRID_COLUMNS, DEFAULT_GRID_ROWS } from './grid-picker.js';
+
+export const MODULE_ID = 'window-maximizer';
+
+/**
+ * Settings included in configuration exports (see config-transfer.js).
+ * Debug and telemetry settings stay local; custom layouts are exported
+ * separately as layout definitions.
+ * @type {string[]}
+ */
+export const PORTABLE_SETTINGS = [
+    'showMaximizeButton',
+    'minZoneWidth',
+    'minZoneHeight',
+    'layoutVisibility',
+    'quickLayouts',
+    ...WORK_AREA_REGIONS.map(region => region.setting),
+    'canvasReservation',
+    'canvasReservationSize',
+    'zoneGap',
+    'outerMargin',
+    'overlayEdge',
+    'overlayTriggerDistance',
+    'overlayHoverDelay',
+    'overlayHideDistance',
+    'dragSuppressModifier',
+    'dragSummonModifier',
+    'edgeSnapping',
+    'layoutFlyout',
+    'snapAssist',
+    'occupiedZonePolicy',
+    'livePreview',
+    'gridPickerColumns',
+    'gridPickerRows',
+    'animateWindows',
+    'animationDuration',
+    'animationEasing'
+];
+
+/**
+ * Read a module setting, falling back to a default if it is not registered yet
+ * (e.g. when called during module initialization).
+ * @param {string} key - The setting key
+ * @param {*} [fallback] - Value returned if the setting cannot be read
+ * @returns {*}
+ */
+export function getSetting(key, fallback = undefined) {
+    if (!game?.settings) return fallback;
+    try {
+        return game.settings.get(MODULE_ID, key) ?? fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Register all module settings and settings menus.
+ * Must be called from the `init` hook.
+ */
+export function registerSettings() {
+    game.settings.register(MODULE_ID, 'debugMode', {
+        name: 'Window Maximizer | Debug Mode',
+        hint: 'Enable verbose console logging for troubleshooting',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    });
+
+    game.settings.register(MODULE_ID, 'showMaximizeButton', {
+        name: 'Show Maximize Button',
+        hint: 'Display a maximize button in window headers (Application v2 only). Requires reload to take effect.',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true,
+        onChange: () => {
+            ui.notifications.info('Window Maximizer | Reload required for button visibility changes to take effect');
+        }
+    });
+
+    // User-defined layouts created in the Layout Editor.
+    // Stored per client so every user can arrange their own screen.
+    game.settings.registerMenu(MODULE_ID, 'layoutEditor', {
+        name: 'Custom Layouts',
+        label: 'Open Layout Editor',
+        hint: 'Draw your own snap layouts (columns, rows and merged cells). They appear in the snap bar next to the built-in layouts.',
+        icon: 'fas fa-table-cells',
+        type: LayoutEditor,
+        restricted: false
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'configTransfer', {
+        name: 'Import / Export',
+        label: 'Import or Export',
+        hint: 'Share custom layouts and Window Maximizer settings with other users as a JSON file.',
+        icon: 'fas fa-file-export',
+        type: ConfigTransfer,
+        restricted: false
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'workspaceManager', {
+        name: 'Workspaces',
+        label: 'Manage Workspaces',
+        hint: 'Save the arrangement of your open windows under a name like "Combat" or "Prep", restore it with one click or link it to a scene to switch to it when the GM activates that scene.',
+        icon: 'fas fa-object-group',
+        type: WorkspaceManager,
+        restricted: false
+    });
+
+    // Saved workspaces and the scenes they are linked to (see workspaces.js)
+    game.settings.register(MODULE_ID, 'workspaces', {
+        scope: 'client',
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    game.settings.register(MODULE_ID, 'sceneWorkspaces', {
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // Quick layouts written in the layout mini-language (see layout-parser.js)
+    game.settings.register(MODULE_ID, 'quickLayouts', {
+        name: 'Quick Layouts',
+        hint: 'Extra layouts as short descriptions, e.g. "2fr 1fr | 1fr 1fr" (columns | rows) or "Wide = cols:1,2,1;rows:2". Separate several layouts with "&".',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: '',
+        onChange: (value) => {
+            const { errors } = parseLayoutList(value);
+            if (errors.length > 0) {
+                ui.notifications.error(`Window Maximizer | Quick Layouts: ${errors[0].message}`);
+            }
+            Hooks.callAll('windowMaximizer.layoutsChanged', { source: 'quick', action: 'update' });
+        }
+    });
+
+    game.settings.register(MODULE_ID, 'customLayouts', {
+        scope: 'client',
+        config: false,
+        type: Array,
+        default: [],
+        onChange: () => Hooks.callAll('windowMaximizer.layoutsChanged', { source: 'custom', action: 'update' })
+    });
+
+    // Layout availability: minimum zone size and per-layout overrides
+    game.settings.register(MODULE_ID, 'minZoneWidth', {
+        name: 'Minimum Zone Width (px)',
+        hint: 'Layouts whose narrowest zone would be smaller than this are not offered in the snap bar.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        default: DEFAULT_MIN_ZONE_WIDTH,
+        onChange: () => Hooks.callAll('windowMaximizer.layoutsChanged', { source: 'visibility', action: 'update' })
+    });
+
+    game.settings.register(MODULE_ID, 'minZoneHeight', {
+        name: 'Minimum Zone Height (px)',
+        hint: 'Layouts whose shortest zone would be smaller than this are not offered in the snap bar.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        default: DEFAULT_MIN_ZONE_HEIGHT,
+        onChange: () => Hooks.callAll('windowMaximizer.layoutsChanged', { source: 'visibility', action: 'update' })
+    });
+
+    game.settings.registerMenu(MODULE_ID, 'layoutVisibilityConfig', {
+        name: 'Layout Visibility',
+        label: 'Configure Layouts',
+        hint: 'Pin or hide individual layouts and change the screen size at which each layout becomes available.',
+        icon: 'fas fa-eye',
+        type: LayoutVisibilityConfig,
+        restricted: false
+    });
+
+    game.settings.register(MODULE_ID, 'layoutVisibility', {
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => Hooks.callAll('windowMaximizer.layoutsChanged', { source: 'visibility', action: 'update' })
+    });
+
+    // Snapped window states, persisted so Restore All survives a reload
+    game.settings.register(MODULE_ID, 'windowStates', {
+        scope: 'client',
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Work area: UI regions that snapped windows should leave uncovered
+    for (const region of WORK_AREA_REGIONS) {
+        game.settings.register(MODULE_ID, region.setting, {
+            name: `Keep ${region.label} Free`,
+            hint: `Snapped and maximized windows leave the ${region.label.toLowerCase()} uncovered.`,
+            scope: 'client',
+            config: true,
+            type: Boolean,
+            default: true,
+            onChange: () => Hooks.callAll('windowMaximizer.workAreaChanged')
+        });
+    }
+
+    // Canvas reservation: keep part of the work area free so the scene stays visible
+    game.settings.register(MODULE_ID, 'canvasReservation', {
+        name: 'Keep Canvas Visible',
+        hint: 'Reserve one side of the screen for the scene canvas. All snap layouts are computed in the remaining space.',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: CANVAS_RESERVATION_SIDES,
+        default: 'none',
+        onChange: () => Hooks.callAll('windowMaximizer.workAreaChanged')
+    });
+
+    game.settings.register(MODULE_ID, 'canvasReservationSize', {
+        name: 'Canvas Reservation Size (%)',
+        hint: 'Share of the screen kept free for the canvas when "Keep Canvas Visible" is enabled.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 10, max: 90, step: 5 },
+        default: 60,
+        onChange: () => Hooks.callAll('windowMaximizer.workAreaChanged')
+    });
+
+    // Spacing between snapped zones and around the layout area
+    game.settings.register(MODULE_ID, 'zoneGap', {
+        name: 'Gap Between Zones (px)',
+        hint: 'Space left between neighbouring snapped windows so borders and shadows do not overlap.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 40, step: 2 },
+        default: 0,
+        onChange: () => Hooks.callAll('windowMaximizer.workAreaChanged')
+    });
+
+    game.settings.register(MODULE_ID, 'outerMargin', {
+        name: 'Outer Margin (px)',
+        hint: 'Space left between snapped or maximized windows and the edges of the layout area.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 80, step: 2 },
+        default: 0,
+        onChange: () => Hooks.callAll('windowMaximizer.workAreaChanged')
+    });
+
+    // Overlay placement and drag trigger (read through getOverlayConfig())
+    const overlayChanged = () => Hooks.callAll('windowMaximizer.overlayChanged');
+
+    game.settings.register(MODULE_ID, 'overlayEdge', {
+        name: 'Overlay Position',
+        hint: 'Screen edge that opens the layout overlay when a window is dragged against it.',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: OVERLAY_EDGES,
+        default: 'top',
+        onChange: overlayChanged
+    });
+
+    game.settings.register(MODULE_ID, 'overlayTriggerDistance', {
+        name: 'Overlay Trigger Distance (px)',
+        hint: 'How close to the overlay edge the cursor must be while dragging to open the overlay.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 2, max: 100, step: 1 },
+        default: DEFAULT_TRIGGER_DISTANCE,
+        onChange: overlayChanged
+    });
+
+    game.settings.register(MODULE_ID, 'overlayHoverDelay', {
+        name: 'Overlay Hover Delay (ms)',
+        hint: 'How long the cursor must stay at the overlay edge before the overlay opens.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 1000, step: 50 },
+        default: DEFAULT_HOVER_DELAY,
+        onChange: overlayChanged
+    });
+
+    game.settings.register(MODULE_ID, 'overlayHideDistance', {
+        name: 'Overlay Hide Distance (px)',
+        hint: 'The overlay closes once the cursor moves this far away from its edge. Also sets the size of the overlay area.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 100, max: 600, step: 10 },
+        default: DEFAULT_HIDE_DISTANCE,
+        onChange: overlayChanged
+    });
+
+    game.settings.register(MODULE_ID, 'dragSuppressModifier', {
+        name: 'Drag Without Snapping',
+        hint: 'Hold this key while dragging a window to turn off the overlay and edge snapping.',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: DRAG_MODIFIERS,
+        default: 'shift',
+        onChange: overlayChanged
+    });
+
+    game.settings.register(MODULE_ID, 'dragSummonModifier', {
+        name: 'Open Overlay at Cursor',
+        hint: 'Hold this key while dragging a window to open the overlay right away, next to the cursor.',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: DRAG_MODIFIERS,
+        default: 'ctrl',
+        onChange: overlayChanged
+    });
+
+    // Drag behaviour
+    game.settings.register(MODULE_ID, 'edgeSnapping', {
+        name: 'Snap to Screen Edges',
+        hint: 'Drag a window against the left or right screen edge to snap it to that half, or into a corner to snap it to that quarter.',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, 'layoutFlyout', {
+        name: 'Layout Flyout on Maximize Button',
+        hint: 'Hover the maximize button in a window header to pick a snap zone without dragging.',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, 'snapAssist', {
+        name: 'Snap Assist',
+        hint: 'After snapping a window into a layout, offer the other open windows for the zones that are still empty.',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, 'occupiedZonePolicy', {
+        name: 'Dropping onto an Occupied Zone',
+        hint: 'What happens to a window that is already snapped into the zone you drop another window on.',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: OCCUPIED_ZONE_POLICIES,
+        default: 'ask'
+    });
+
+    game.settings.register(MODULE_ID, 'livePreview', {
+        name: 'Live Window Preview',
+        hint: 'Show a copy of the window inside the snap highlight, laid out at the size of the zone, before you drop it.',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, 'gridPickerColumns', {
+        name: 'Custom Grid Columns',
+        hint: 'Number of columns in the custom grid, where you drag across cells to snap a window to any block of them.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 2, max: 12, step: 1 },
+        default: DEFAULT_GRID_COLUMNS
+    });
+
+    game.settings.register(MODULE_ID, 'gridPickerRows', {
+        name: 'Custom Grid Rows',
+        hint: 'Number of rows in the custom grid.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 2, max: 8, step: 1 },
+        default: DEFAULT_GRID_ROWS
+    });
+
+    // Animation
+    game.settings.register(MODULE_ID, 'animateWindows', {
+        name: 'Animate Snapping and Restoring',
+        hint: 'Move and resize windows smoothly when they are snapped or restored. Always off when your system asks for reduced motion.',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, 'animationDuration', {
+        name: 'Animation Duration (ms)',
+        hint: 'How long snap and restore animations take.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 50, max: 1000, step: 10 },
+        default: DEFAULT_ANIMATION_DURATION
+    });
+
+    game.settings.register(MODULE_ID, 'animationEasing', {
+        name: 'Animation Easing',
+        hint: 'The speed curve of snap and restore animations.',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: Object.fromEntries(Object.entries(ANIMATION_EASINGS).map(([key, easing]) => [key, easing.label])),
+        default: 'ease-out'
+    });
+}
@@ -0,0 +1,190 @@
+/**
+ * Snap Assist - after a window is snapped into one zone of a multi-zone
+ * layout, offer the other open windows for the zones that are still empty.
+ * Picking a window snaps it into that zone and the assist moves on to the
+ * remaining empty zones, so a full arrangement takes a few clicks.
+ */
+
+import { getSetting } from './settings.js';
+import { getLeafZones } from './layout-tree.js';
+
+// Debug logging system - conditional console logging for performance
+// Uses FoundryVTT game setting for runtime configurability
+function debugLog(...args) {
+    // Safety check: ensure game and settings are available
+    if (!game?.settings) return;
+
+    try {
+        if (game.settings.get('window-maximizer', 'debugMode')) {
+            console.log('Window Maximizer |', ...args);
+        }
+    } catch (error) {
+        // If setting doesn't exist yet, silently ignore (module initialization phase)
+        // This prevents errors during module load before settings are registered
+    }
+}
+
+/**
+ * Check whether two rects overlap by more than a shared edge
+ * @param {{x: number, y: number, w: number, h: number}} a
+ * @param {{x: number, y: number, w: number, h: number}} b
+ * @returns {boolean}
+ */
+function rectsOverlap(a, b) {
+    return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+}
+
+export class SnapAssist {
+    /**
+     * @param {import('./snap-layouter.js').SnapLayouter} layouter
+     */
+    constructor(layouter) {
+        this.layouter = layouter;
+        /** @type {HTMLElement|null} Container of the zone panels while the assist is open */
+        this.element = null;
+
+        // Escape or a click anywhere outside the panels dismisses the assist
+        layouter.addTrackedListener(document, 'keydown', (e) => {
+            if (e.key !== 'Escape' || !this.element) return;
+            // Foundry would otherwise close the active window, usually the one just snapped
+            e.preventDefault();
+            e.stopPropagation();
+            this.dismiss();
+        });
+        layouter.addTrackedListener(document, 'pointerdown', (e) => {
+            if (this.element && !this.element.contains(e.target)) this.dismiss();
+        }, true);
+    }
+
+    /**
+     * Offer the remaining zones of a layout after a window was snapped into it
+     * @param {Application|ApplicationV2} app - The window that was just snapped
+     * @param {{layoutId: string, zoneId: string}} zoneInfo - Where it was snapped
+     */
+    offer(app, zoneInfo) {
+        this.dismiss();
+        if (!getSetting('snapAssist', true)) return;
+
+        const layout = this.layouter.getLayout(zoneInfo.layoutId);
+        if (!layout) return;
+
+        const emptyZones = this.getEmptyZones(layout);
+        if (emptyZones.length === 0) return;
+
+        const candidates = this.getCandidateWindows(layout.id);
+        if (candidates.length === 0) return;
+
+        debugLog('Snap Assist offering', emptyZones.map(z => z.zoneId), 'for', candidates.length, 'window(s)');
+        this.render(layout.id, emptyZones, candidates);
+    }
+
+    /**
+     * Find the zones of a layout not covered by an open snapped window.
+     * Zones are taken greedily in layout order and must not overlap an
+     * occupied zone or an earlier offered zone, so layouts with overlapping
+     * zones (like the edge snap targets) offer a clean partition.
+     * @param {Object} layout
+     * @returns {Array<{zoneId: string, rect: Object}>}
+     */
+    getEmptyZones(layout) {
+        const taken = [];
+        for (const state of this.layouter.registry.getAllStatesArray()) {
+            if (!state.isOpen || state.zoneInfo?.layoutId !== layout.id) continue;
+            const rect = this.layouter.calculateZoneRect(layout.id, state.zoneInfo.zoneId);
+            if (rect) taken.push(rect);
+        }
+
+        const empty = [];
+        for (const { path } of getLeafZones(layout)) {
+            const rect = this.layouter.calculateZoneRect(layout.id, path);
+            if (!rect || taken.some(other => rectsOverlap(rect, other))) continue;
+            taken.push(rect);
+            empty.push({ zoneId: path, rect });
+        }
+        return empty;
+    }
+
+    /**
+     * List open, visible windows that are not already snapped into the layout
+     * @param {string} layoutId
+     * @returns {Array<Application|ApplicationV2>}
+     */
+    getCandidateWindows(layoutId) {
+        const apps = new Set([
+            ...Object.values(ui.windows ?? {}),
+            ...(foundry?.applications?.instances?.values() ?? [])
+        ]);
+
+        return [...apps].filter(app => {
+            const element = this.layouter.getAppElement(app);
+            if (!element?.isConnected || typeof app.setPosition !== 'function') return false;
+            if (app.minimized || app._minimized) return false;
+            if (app.options?.popOut === false || app.hasFrame === false) return false;
+            if (element.closest('#sidebar, .sidebar')) return false;
+            return this.layouter.appStateMap.get(app)?.zoneInfo?.layoutId !== layoutId;
+        });
+    }
+
+    /**
+     * Draw one panel per empty zone listing the candidate windows
+     * @param {string} layoutId
+     * @param {Array<{zoneId: string, rect: Object}>} zones
+     * @param {Array<Application|ApplicationV2>} candidates
+     */
+    render(layoutId, zones, candidates) {
+        this.element = document.createElement('div');
+        this.element.id = 'window-maximizer-assist';
+
+        for (const { zoneId, rect } of zones) {
+            const panel = document.createElement('div');
+            panel.className = 'wm-assist-zone';
+            panel.style.left = `${rect.x}px`;
+            panel.style.top = `${rect.y}px`;
+            panel.style.width = `${rect.w}px`;
+            panel.style.height = `${rect.h}px`;
+
+            const heading = document.createElement('h3');
+            heading.textContent = 'Snap a window here';
+            panel.appendChild(heading);
+
+            const list = document.createElement('ul');
+            for (const app of candidates) {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = app.title || app.constructor.name;
+                button.addEventListener('click', () => this.pick(app, layoutId, zoneId));
+                item.appendChild(button);
+                list.appendChild(item);
+            }
+            panel.appendChild(list);
+            this.element.appendChild(panel);
+        }
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Snap the chosen window into a zone. snapApp() offers the next empty zones.
+     * @param {Application|ApplicationV2} app
+     * @param {string} layoutId
+     * @param {string} zoneId
+     */
+    pick(app, layoutId, zoneId) {
+        this.dismiss();
+        const rect = this.layouter.calculateZoneRect(layoutId, zoneId);
+        if (!rect) return;
+        if (typeof app.bringToFront === 'function') app.bringToFront();
+        else if (typeof app.bringToTop === 'function') app.bringToTop();
+        this.layouter.snapApp(app, rect, { layoutId, zoneId }, 'assist');
+    }
+
+    /**
+     * Close the assist panels
+     */
+    dismiss() {
+        if (!this.element) return;
+        this.element.remove();
+        this.element = null;
+    }
+}
@@ -1,4 +1,16 @@
 import { WindowStateRegistry } from './window-state-registry.js';
+import { MODULE_ID, getSetting } from './settings.js';
+import { getTrackTemplate, getReservedTrackTemplate, insetRect } from './layout-geometry.js';
+import { WORK_AREA_REGIONS, calculateWorkArea, getViewportRect, splitCanvasReservation } from './work-area.js';
+import { calculateAvailableLayouts } from './layout-catalog.js';
+import { joinZonePath, isLeafZonePath, getZoneRectByPath, getLeafZones } from './layout-tree.js';
+import { EDGE_SNAP_LAYOUT, findEdgeSnapZone } from './edge-snap.js';
+import { SnapAssist } from './snap-assist.js';
+import { DropChoice, DROP_CHOICES } from './drop-choice.js';
+import { WindowPreview } from './window-preview.js';
+import { GridPicker, GRID_LAYOUT_ID, getGridZoneLayout, describeGridZone } from './grid-picker.js';
+import { getAnimationConfig, animatePosition, stopAnimation } from './window-animation.js';
+import { getOverlayConfig, applyOverlayConfig, distanceFromEdge, rectDistanceFromEdge, isModifierHeld } from './overlay-config.js';
 
 // Debug logging system - conditional console logging for performance
 // Uses FoundryVTT game setting for runtime configurability
@@ -16,10 +28,6 @@ function debugLog(...args) {
     }
 }
 
-// Minimum window size thresholds (in pixels)
-const MIN_ZONE_WIDTH = 300;
-const MIN_ZONE_HEIGHT = 200;
-
 /**
  * PerformanceTracker - Optional performance metrics collection system
  * Tracks snap layout operations for performance analysis and optimization
@@ -144,213 +152,28 @@ class PerformanceTracker {
     }
 }
 
-/**
- * Calculate available layouts based on screen dimensions
- * @returns {Array<{id: string, class: string, cols: number, rows: number, zones: Array<{id: string, col: number, row: number, colSpan?: number, rowSpan?: number}>}>}
- */
-function calculateAvailableLayouts() {
-    const screenWidth = window.innerWidth;
-    const screenHeight = window.innerHeight;
-
-    // Calculate maximum columns and rows that fit with minimum zone sizes
-    const maxCols = Math.floor(screenWidth / MIN_ZONE_WIDTH);
-    const maxRows = Math.floor(screenHeight / MIN_ZONE_HEIGHT);
-
-    const layouts = [];
-
-    // Always include full screen layout
-    layouts.push({
-        id: 'full',
-        label: 'Full Screen',
-        class: 'layout-full',
-        cols: 1,
-        rows: 1,
-        zones: [{ id: 'full', col: 0, row: 0 }]
-    });
-
-    // 2-column split (needs at least 2 columns)
-    if (maxCols >= 2) {
-        layouts.push({
-            id: 'split-2',
-            label: '2 Columns',
-            class: 'layout-cols-2',
-            cols: 2,
-            rows: 1,
-            zones: [
-                { id: 'left', col: 0, row: 0 },
-                { id: 'right', col: 1, row: 0 }
-            ]
-        });
-    }
-
-    // 3-column layout (needs larger screens for optimal usability)
-    if (screenWidth >= 1400 && maxCols >= 3) {
-        layouts.push({
-            id: 'split-3',
-            label: '3 Columns',
-            class: 'layout-cols-3',
-            cols: 3,
-            rows: 1,
-            zones: [
-                { id: 'left', col: 0, row: 0 },
-                { id: 'center', col: 1, row: 0 },
-                { id: 'right', col: 2, row: 0 }
-            ]
-        });
-    }
-
-    // 4-column layout (requires ultrawide screens for practical use)
-    if (screenWidth >= 2560 && maxCols >= 4) {
-        layouts.push({
-            id: 'split-4',
-            label: '4 Columns',
-            class: 'layout-cols-4',
-            cols: 4,
-            rows: 1,
-            zones: [
-                { id: 'col-0', col: 0, row: 0 },
-                { id: 'col-1', col: 1, row: 0 },
-                { id: 'col-2', col: 2, row: 0 },
-                { id: 'col-3', col: 3, row: 0 }
-            ]
-        });
-    }
-
-    // 6-column layout (reserved for extreme ultrawide configurations)
-    if (screenWidth >= 3840 && maxCols >= 6) {
-        layouts.push({
-            id: 'split-6',
-            label: '6 Columns',
-            class: 'layout-cols-6',
-            cols: 6,
-            rows: 1,
-            zones: [
-                { id: 'col-0', col: 0, row: 0 },
-                { id: 'col-1', col: 1, row: 0 },
-                { id: 'col-2', col: 2, row: 0 },
-                { id: 'col-3', col: 3, row: 0 },
-                { id: 'col-4', col: 4, row: 0 },
-                { id: 'col-5', col: 5, row: 0 }
-            ]
-        });
-    }
-
-    // 2-row layout (vertical split)
-    if (maxRows >= 2) {
-        layouts.push({
-            id: 'rows-2',
-            label: '2 Rows',
-            class: 'layout-rows-2',
-            cols: 1,
-            rows: 2,
-            zones: [
-                { id: 'top', col: 0, row: 0 },
-                { id: 'bottom', col: 0, row: 1 }
-            ]
-        });
-    }
-
-    // 2x2 quarters
-    if (maxCols >= 2 && maxRows >= 2) {
-        layouts.push({
-            id: 'grid-2x2',
-            label: '2×2 Grid',
-            class: 'layout-grid-2x2',
-            cols: 2,
-            rows: 2,
-            zones: [
-                { id: 'tl', col: 0, row: 0 },
-                { id: 'tr', col: 1, row: 0 },
-                { id: 'bl', col: 0, row: 1 },
-                { id: 'br', col: 1, row: 1 }
-            ]
-        });
-    }
-
-    // 4x2 grid (requires 4K displays for practical column widths)
-    if (screenWidth >= 3200 && maxCols >= 4 && maxRows >= 2) {
-        layouts.push({
-            id: 'grid-4x2',
-            label: '4×2 Grid',
-            class: 'layout-grid-4x2',
-            cols: 4,
-            rows: 2,
-            zones: [
-                { id: 'r0c0', col: 0, row: 0 },
-                { id: 'r0c1', col: 1, row: 0 },
-                { id: 'r0c2', col: 2, row: 0 },
-                { id: 'r0c3', col: 3, row: 0 },
-                { id: 'r1c0', col: 0, row: 1 },
-                { id: 'r1c1', col: 1, row: 1 },
-                { id: 'r1c2', col: 2, row: 1 },
-                { id: 'r1c3', col: 3, row: 1 }
-            ]
-        });
-    }
-
-    // 3-row layout (optimized for extra-tall displays)
-    if (screenHeight >= 1400 && maxRows >= 3) {
-        layouts.push({
-            id: 'rows-3',
-            label: '3 Rows',
-            class: 'layout-rows-3',
-            cols: 1,
-            rows: 3,
-            zones: [
-                { id: 'top', col: 0, row: 0 },
-                { id: 'middle', col: 0, row: 1 },
-                { id: 'bottom', col: 0, row: 2 }
-            ]
-        });
-    }
+// Minimum viewport dimensions for snap layout functionality
+const MIN_VIEWPORT_WIDTH = 800;
+const MIN_VIEWPORT_HEIGHT = 600;
 
-    // 2x3 grid (requires extra-tall displays for usability)
-    if (screenHeight >= 1400 && maxCols >= 2 && maxRows >= 3) {
-        layouts.push({
-            id: 'grid-2x3',
-            label: '2×3 Grid',
-            class: 'layout-grid-2x3',
-            cols: 2,
-            rows: 3,
-            zones: [
-                { id: 'r0c0', col: 0, row: 0 },
-                { id: 'r0c1', col: 1, row: 0 },
-                { id: 'r1c0', col: 0, row: 1 },
-                { id: 'r1c1', col: 1, row: 1 },
-                { id: 'r2c0', col: 0, row: 2 },
-                { id: 'r2c1', col: 1, row: 2 }
-            ]
-        });
-    }
+// Layout flyout on the maximize header buttons (AppV1 and AppV2)
+const FLYOUT_BUTTON_SELECTOR = '.window-maximizer-btn, .window-maximizer-appv2-btn';
+const FLYOUT_OPEN_DELAY = 400;  // Hover time before the flyout opens (ms)
+const FLYOUT_CLOSE_DELAY = 300; // Grace time to move from the button into the flyout (ms)
 
-    // 3x3 grid (reserved for ultra-wide and ultra-tall configurations)
-    if (screenWidth >= 1400 && screenHeight >= 1400 && maxCols >= 3 && maxRows >= 3) {
-        layouts.push({
-            id: 'grid-3x3',
-            label: '3×3 Grid',
-            class: 'layout-grid-3x3',
-            cols: 3,
-            rows: 3,
-            zones: [
-                { id: 'r0c0', col: 0, row: 0 },
-                { id: 'r0c1', col: 1, row: 0 },
-                { id: 'r0c2', col: 2, row: 0 },
-                { id: 'r1c0', col: 0, row: 1 },
-                { id: 'r1c1', col: 1, row: 1 },
-                { id: 'r1c2', col: 2, row: 1 },
-                { id: 'r2c0', col: 0, row: 2 },
-                { id: 'r2c1', col: 1, row: 2 },
-                { id: 'r2c2', col: 2, row: 2 }
-            ]
-        });
-    }
+// Touch and pen input
+const LONG_PRESS_DELAY = 500;    // Press time on a maximize button that opens the flyout (ms)
+const LONG_PRESS_SLOP = 10;      // Movement (px) that turns a long press into a drag
+const TOUCH_HIT_SLOP = 16;       // Distance (px) from a zone that still counts as on it
 
-    return layouts;
-}
+// Reopening closed document windows
+const SHEET_RENDER_TIMEOUT = 3000; // Time (ms) to wait for a reopened sheet to render
 
-// Minimum viewport dimensions for snap layout functionality
-const MIN_VIEWPORT_WIDTH = 800;
-const MIN_VIEWPORT_HEIGHT = 600;
+// Arrow keys of the keyboard layout picker: [previous, next] along the bar and across it
+const PICKER_KEYS = {
+    horizontal: { layout: ['ArrowLeft', 'ArrowRight'], zone: ['ArrowUp', 'ArrowDown'] },
+    vertical: { layout: ['ArrowUp', 'ArrowDown'], zone: ['ArrowLeft', 'ArrowRight'] }
+};
 
 export class SnapLayouter {
     constructor() {
@@ -358,9 +181,38 @@ export class SnapLayouter {
         this.highlight = null;
         this.activeApp = null;
         this.activeZone = null;
+        /** @type {{app: Application|ApplicationV2, layoutId: string, zoneId: string}|null} Pending edge snap */
+        this.edgeSnap = null;
+        /** @type {number|null} Timer that shows the overlay after the hover delay */
+        this.pendingShowTimer = null;
+        this.flyout = null;
+        /** @type {Application|ApplicationV2|null} Window the layout flyout was opened for */
+        this.flyoutApp = null;
+        this.flyoutTimer = null;
+        /** @type {{app: Application|ApplicationV2, zoneInfo: Object}|null} Zone the window being dragged was unsnapped from */
+        this.vacatedZone = null;
+        /** @type {boolean} True while the overlay was opened from the keyboard */
+        this.keyboardPicker = false;
+        /** @type {HTMLElement|null} Element to refocus when the keyboard picker closes */
+        this.keyboardReturnFocus = null;
+        /** @type {HTMLElement|null} Screen reader live region for snap announcements */
+        this.liveRegion = null;
+        /** @type {{edge: string, triggerDistance: number, hoverDelay: number, hideDistance: number, suppressModifier: string, summonModifier: string}} */
+        this.overlayConfig = getOverlayConfig();
+        /** @type {{suppress: boolean, summon: boolean}} Modifier keys held during the current drag */
+        this.dragModifiers = { suppress: false, summon: false };
+        /** @type {boolean} True while the overlay is summoned next to the cursor */
+        this.overlaySummoned = false;
+        /** @type {string} pointerType of the last pointerdown: 'mouse', 'touch' or 'pen' */
+        this.lastPointerType = 'mouse';
+        /** @type {{timer: number, x: number, y: number}|null} Pending long press on a maximize button */
+        this.longPress = null;
+        /** @type {boolean} Swallow the click that ends a long press */
+        this.suppressNextClick = false;
         this.layouts = [];
         /** @type {WindowStateRegistry} Global registry for snapped window states */
         this.registry = new WindowStateRegistry();
+        this.registry.onChange = () => this.persistStates();
         this.lastMousePosition = { x: 0, y: 0 };
         /** @type {WeakMap<Application|ApplicationV2, Object>} Map app instances to their snap state */
         this.appStateMap = new WeakMap();
@@ -381,6 +233,19 @@ export class SnapLayouter {
         this.performance = new PerformanceTracker();
 
         this.createOverlay();
+        this.createFlyout();
+
+        /** @type {SnapAssist} Offers other windows for the empty zones after a snap */
+        this.snapAssist = new SnapAssist(this);
+
+        /** @type {DropChoice} Asks what to do when dropping onto an occupied zone */
+        this.dropChoice = new DropChoice(this);
+
+        /** @type {WindowPreview} Copy of the window shown inside the highlight */
+        this.windowPreview = new WindowPreview(this);
+
+        /** @type {GridPicker} Ad-hoc grid for snapping to any block of cells */
+        this.gridPicker = new GridPicker(this);
 
         // Recalculate layouts on window resize - debounced for performance
         this.addTrackedListener(window, 'resize', () => {
@@ -395,9 +260,25 @@ export class SnapLayouter {
             });
         }
 
+        // Remember the input device so the overlay can size itself for fingers
+        this.addTrackedListener(document, 'pointerdown', (e) => {
+            this.lastPointerType = e.pointerType || 'mouse';
+        }, true);
+
         // Track window closes to update registry
         this.setupCloseTracking();
 
+        // Rebuild the bar whenever the set of layouts changes (e.g. custom layouts saved)
+        this.addTrackedHook('windowMaximizer.layoutsChanged', () => this.rebuildOverlay());
+
+        // Work area changes: sidebar collapse/expand or reserved-region settings
+        this.workAreaTimeout = null;
+        this.addTrackedHook('collapseSidebar', () => this.scheduleWorkAreaRefresh());
+        this.addTrackedHook('windowMaximizer.workAreaChanged', () => this.scheduleWorkAreaRefresh());
+
+        // Overlay edge and drag trigger settings
+        this.addTrackedHook('windowMaximizer.overlayChanged', () => this.refreshOverlayConfig());
+
         // Register cleanup on module unload
         this.addTrackedHook('unload', () => this.cleanup());
     }
@@ -499,6 +380,113 @@ export class SnapLayouter {
         return false;
     }
 
+    /**
+     * Get the area snapped windows may occupy, excluding reserved Foundry UI regions
+     * @returns {{x: number, y: number, w: number, h: number}}
+     */
+    getWorkArea() {
+        const reserved = WORK_AREA_REGIONS
+            .filter(region => getSetting(region.setting, true))
+            .map(region => region.key);
+        return calculateWorkArea(reserved);
+    }
+
+    /**
+     * Get the configured canvas reservation
+     * @returns {{side: string, fraction: number}|null} - null if no canvas area is reserved
+     */
+    getCanvasReservation() {
+        const side = getSetting('canvasReservation', 'none');
+        if (!side || side === 'none') return null;
+        const percent = Number(getSetting('canvasReservationSize', 60));
+        if (!Number.isFinite(percent) || percent <= 0 || percent >= 100) return null;
+        return { side, fraction: percent / 100 };
+    }
+
+    /**
+     * Get the area layouts are computed in: the work area minus the canvas reservation
+     * @returns {{x: number, y: number, w: number, h: number}}
+     */
+    getLayoutArea() {
+        return splitCanvasReservation(this.getWorkArea(), this.getCanvasReservation()).layoutArea;
+    }
+
+    /**
+     * Recalculate layouts and re-apply snapped windows after the work area changed.
+     * Debounced so the sidebar's collapse animation has finished before measuring.
+     */
+    scheduleWorkAreaRefresh() {
+        if (this.workAreaTimeout) this.clearTrackedTimer(this.workAreaTimeout);
+        this.workAreaTimeout = this.addTrackedTimer(setTimeout(() => {
+            this.workAreaTimeout = null;
+            this.rebuildOverlay();
+            this.refreshSnappedWindows();
+        }, 350));
+    }
+
+    /**
+     * Move every open snapped window into its zone's current rect.
+     * Used when the work area changes so snapped windows follow the sidebar.
+     */
+    refreshSnappedWindows() {
+        for (const state of this.registry.getAllStatesArray()) {
+            if (!state.isOpen || !state.zoneInfo) continue;
+            const app = this.findOpenApplication(state.appKey);
+            if (!app || !this.appStateMap.has(app) || typeof app.setPosition !== 'function') continue;
+
+            const rect = this.calculateZoneRect(state.zoneInfo.layoutId, state.zoneInfo.zoneId);
+            if (!rect) continue;
+
+            const clamped = this.clampRectToWorkArea(rect);
+            try {
+                this.setAppPosition(app, { left: clamped.x, top: clamped.y, width: clamped.w, height: clamped.h });
+            } catch (error) {
+                debugLog('Failed to refresh snapped window:', state.appKey, error);
+            }
+        }
+    }
+
+    /**
+     * Clamp a zone rect to the work area so snapped windows never cover reserved UI
+     * @param {{x: number, y: number, w: number, h: number}} rect
+     * @returns {{x: number, y: number, w: number, h: number}} - A new, clamped rect
+     */
+    clampRectToWorkArea(rect) {
+        const area = this.getWorkArea();
+        const MIN_VISIBLE = 200;
+        const right = area.x + area.w;
+        const bottom = area.y + area.h;
+
+        const x = Math.max(area.x, Math.min(rect.x, right - MIN_VISIBLE));
+        const y = Math.max(area.y, Math.min(rect.y, bottom - MIN_VISIBLE));
+        return {
+            x,
+            y,
+            w: Math.max(MIN_VISIBLE, Math.min(rect.w, right - x)),
+            h: Math.max(MIN_VISIBLE, Math.min(rect.h, bottom - y))
+        };
+    }
+
+    /**
+     * Shift a restored position so the window lies inside the work area.
+     * Size is kept; windows larger than the work area are aligned to its top-left.
+     * @param {Position} position - {left, top, width, height}
+     * @returns {Position} - A new, clamped position
+     */
+    clampPositionToWorkArea(position) {
+        const area = this.getWorkArea();
+        const result = { ...position };
+        if (Number.isFinite(position.left)) {
+            const width = Number.isFinite(position.width) ? position.width : 0;
+            result.left = Math.max(area.x, Math.min(position.left, area.x + area.w - width));
+        }
+        if (Number.isFinite(position.top)) {
+            const height = Number.isFinite(position.height) ? position.height : 0;
+            result.top = Math.max(area.y, Math.min(position.top, area.y + area.h - height));
+        }
+        return result;
+    }
+
     /**
      * Set up hooks to track when snapped windows are closed
      */
@@ -528,26 +516,43 @@ export class SnapLayouter {
         // Create the main overlay container
         this.overlay = document.createElement('div');
         this.overlay.id = 'window-maximizer-overlay';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-label', 'Snap layouts');
+        this.overlay.setAttribute('aria-hidden', 'true');
 
         // Create the bar containing layout options
         const bar = document.createElement('div');
         bar.id = 'window-maximizer-bar';
+        bar.setAttribute('role', 'toolbar');
+        bar.setAttribute('aria-label', 'Layouts');
 
         this.overlay.appendChild(bar);
+        applyOverlayConfig(this.overlay, this.overlayConfig);
         document.body.appendChild(this.overlay);
 
-        // Hide overlay when mouse leaves the overlay area - using tracked listener
+        // Hide overlay when mouse leaves the overlay area - using tracked listener.
+        // A summoned overlay stays until the modifier is released.
         this.addTrackedListener(this.overlay, 'mouseleave', () => {
-            if (this.activeApp) {
+            if (this.activeApp && !this.overlaySummoned) {
                 this.hide();
             }
         });
 
+        // Arrow keys, Enter and Escape while a zone has keyboard focus
+        this.addTrackedListener(this.overlay, 'keydown', (e) => this.onOverlayKeydown(e));
+
         // Create highlight rect
         this.highlight = document.createElement('div');
         this.highlight.id = 'window-maximizer-highlight';
         document.body.appendChild(this.highlight);
 
+        // Polite live region: announces picker instructions and snap results
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.id = 'window-maximizer-live';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        document.body.appendChild(this.liveRegion);
+
         // Build the layout options
         this.buildLayoutOptions();
     }
@@ -560,35 +565,106 @@ export class SnapLayouter {
         const bar = this.overlay.querySelector('#window-maximizer-bar');
         bar.innerHTML = '';
 
-        // Calculate available layouts for current screen
-        this.layouts = calculateAvailableLayouts();
+        // Calculate available layouts for the current layout area
+        const area = this.getLayoutArea();
+        this.layouts = calculateAvailableLayouts(area);
+        const reservation = this.getCanvasReservation();
 
         this.layouts.forEach(layout => {
-            const opt = document.createElement('div');
-            opt.className = `layout-option ${layout.class}`;
-            opt.dataset.layout = layout.id;
-            opt.dataset.layoutLabel = layout.label; // For CSS tooltip
-            opt.title = layout.label; // Native browser tooltip fallback
-
-            // Set grid template based on cols/rows
-            opt.style.gridTemplateColumns = `repeat(${layout.cols}, 1fr)`;
-            opt.style.gridTemplateRows = `repeat(${layout.rows}, 1fr)`;
-
-            layout.zones.forEach(zone => {
-                const z = document.createElement('div');
-                z.className = 'layout-zone';
-                z.dataset.zone = zone.id;
-                opt.appendChild(z);
-            });
-
-            bar.appendChild(opt);
+            bar.appendChild(this.createLayoutOption(layout, reservation));
         });
 
         // Set up event delegation for all zones using tracked listeners
         // This replaces individual zone listeners with 6 delegated listeners on the bar
         this.setupZoneEventDelegation(bar);
 
-        debugLog(`Built ${this.layouts.length} layouts for ${window.innerWidth}x${window.innerHeight} screen`);
+        debugLog(`Built ${this.layouts.length} layouts for ${area.w}x${area.h} layout area`);
+    }
+
+    /**
+     * Create the minimap element of one layout
+     * @param {Object} layout - Layout from calculateAvailableLayouts()
+     * @param {{side: string, fraction: number}|null} reservation - Canvas reservation to draw
+     * @returns {HTMLElement}
+     */
+    createLayoutOption(layout, reservation) {
+        const opt = document.createElement('div');
+        opt.className = `layout-option ${layout.class}`;
+        opt.dataset.layout = layout.id;
+        opt.dataset.layoutLabel = layout.label; // For CSS tooltip
+        opt.title = layout.label; // Native browser tooltip fallback
+        opt.setAttribute('role', 'group');
+        opt.setAttribute('aria-label', layout.label);
+
+        // Set grid template based on cols/rows (weighted tracks become fr units)
+        opt.style.gridTemplateColumns = getTrackTemplate(layout.colWeights, layout.cols);
+        opt.style.gridTemplateRows = getTrackTemplate(layout.rowWeights, layout.rows);
+
+        // The canvas reservation is drawn as an extra track next to the zones
+        let colOffset = 0;
+        let rowOffset = 0;
+        if (reservation) {
+            const canvasEl = document.createElement('div');
+            canvasEl.className = 'layout-canvas';
+            canvasEl.title = 'Canvas';
+            const position = (reservation.side === 'left' || reservation.side === 'top') ? 'start' : 'end';
+            if (reservation.side === 'left' || reservation.side === 'right') {
+                opt.style.gridTemplateColumns = getReservedTrackTemplate(layout.colWeights, layout.cols, reservation.fraction, position);
+                colOffset = position === 'start' ? 1 : 0;
+                canvasEl.style.gridColumn = position === 'start' ? '1' : `${layout.cols + 1}`;
+                canvasEl.style.gridRow = '1 / -1';
+            } else {
+                opt.style.gridTemplateRows = getReservedTrackTemplate(layout.rowWeights, layout.rows, reservation.fraction, position);
+                rowOffset = position === 'start' ? 1 : 0;
+                canvasEl.style.gridRow = position === 'start' ? '1' : `${layout.rows + 1}`;
+                canvasEl.style.gridColumn = '1 / -1';
+            }
+            opt.appendChild(canvasEl);
+        }
+
+        this.appendMinimapZones(opt, layout, '', colOffset, rowOffset);
+
+        // Screen reader names, e.g. "Split 3, zone 2 of 3"
+        for (const zone of opt.querySelectorAll('.layout-zone')) {
+            zone.dataset.label = this.describeZone({ layoutId: layout.id, zoneId: zone.dataset.zone }, layout);
+            zone.setAttribute('aria-label', zone.dataset.label);
+        }
+
+        return opt;
+    }
+
+    /**
+     * Append the zones of a layout (or sub-layout) to a minimap grid element.
+     * Zones with their own sub-layout become nested grids whose leaf zones are
+     * the drop targets; leaf zones carry their full path in data-zone.
+     * @param {HTMLElement} container - Grid element to append to
+     * @param {Object} grid - Layout or sub-layout
+     * @param {string} prefix - Zone path of the parent zone ('' for the root)
+     * @param {number} [colOffset=0] - Track offset for the canvas reservation (root only)
+     * @param {number} [rowOffset=0] - Track offset for the canvas reservation (root only)
+     */
+    appendMinimapZones(container, grid, prefix, colOffset = 0, rowOffset = 0) {
+        grid.zones.forEach(zone => {
+            const z = document.createElement('div');
+            // Explicit placement so merged (spanning) zones render correctly
+            z.style.gridColumn = `${zone.col + colOffset + 1} / span ${zone.colSpan || 1}`;
+            z.style.gridRow = `${zone.row + rowOffset + 1} / span ${zone.rowSpan || 1}`;
+
+            const path = joinZonePath(prefix, zone.id);
+            if (zone.layout) {
+                z.className = 'layout-zone-group';
+                z.style.gridTemplateColumns = getTrackTemplate(zone.layout.colWeights, zone.layout.cols);
+                z.style.gridTemplateRows = getTrackTemplate(zone.layout.rowWeights, zone.layout.rows);
+                this.appendMinimapZones(z, zone.layout, path);
+            } else {
+                z.className = 'layout-zone';
+                z.dataset.zone = path;
+                // Focused by the keyboard picker, never part of the page tab order
+                z.setAttribute('role', 'button');
+                z.tabIndex = -1;
+            }
+            container.appendChild(z);
+        });
     }
 
     /**
@@ -639,6 +715,514 @@ export class SnapLayouter {
             const zoneInfo = getZoneInfo(e.target);
             if (zoneInfo) this.onZoneDrop(e, zoneInfo.layoutId, zoneInfo.zoneId);
         }, true);
+
+        // Keyboard focus (keyboard picker) previews the zone like hovering it
+        this.addTrackedListener(bar, 'focusin', (e) => {
+            const zoneInfo = getZoneInfo(e.target);
+            if (zoneInfo) this.activateZone(zoneInfo.layoutId, zoneInfo.zoneId);
+        });
+    }
+
+    /**
+     * Describe a zone for screen readers and announcements
+     * @param {{layoutId: string, zoneId: string}} zoneInfo
+     * @param {Object} [layout] - The layout, if already known
+     * @returns {string} - e.g. "Split 3, zone 2 of 3"
+     */
+    describeZone({ layoutId, zoneId }, layout = this.getLayout(layoutId)) {
+        if (layoutId === GRID_LAYOUT_ID) return describeGridZone(zoneId);
+        if (!layout) return layoutId === 'full' ? 'full screen' : zoneId;
+        const leaves = getLeafZones(layout);
+        const index = leaves.findIndex(leaf => leaf.path === zoneId);
+        if (leaves.length < 2 || index === -1) return layout.label;
+        return `${layout.label}, zone ${index + 1} of ${leaves.length}`;
+    }
+
+    /**
+     * Announce a message through the live region
+     * @param {string} message
+     */
+    announce(message) {
+        if (!this.liveRegion) return;
+        // Cleared first so that repeating the same message is announced again
+        this.liveRegion.textContent = '';
+        this.addTrackedTimer(setTimeout(() => {
+            if (this.liveRegion) this.liveRegion.textContent = message;
+        }, 50));
+    }
+
+    /**
+     * Get the window that has keyboard focus, or Foundry's active window
+     * @returns {Application|ApplicationV2|null}
+     */
+    getFocusedApp() {
+        const focused = document.activeElement;
+        const app = focused && focused !== document.body ? this.findAppForElement(focused) : null;
+        return app ?? ui.activeWindow ?? null;
+    }
+
+    /**
+     * Open the overlay for a window without dragging and focus its first zone.
+     * Arrow keys move between layouts and zones, Enter snaps, Escape cancels
+     * (see onOverlayKeydown()).
+     * @param {Application|ApplicationV2} [app] - Defaults to the focused window
+     * @returns {boolean} - True if the picker was opened
+     */
+    openKeyboardPicker(app = this.getFocusedApp()) {
+        if (!app || typeof app.setPosition !== 'function' || this.activeApp) return false;
+        const firstZone = this.overlay.querySelector('.layout-zone');
+        if (!firstZone) return false;
+
+        this.keyboardReturnFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+        this.show(app);
+        this.keyboardPicker = true;
+        firstZone.focus();
+        this.announce(`Choose a snap zone for ${app.title || app.constructor.name}. Arrow keys move between layouts and zones, Enter snaps, Escape cancels.`);
+        return true;
+    }
+
+    /**
+     * Keyboard navigation inside the overlay. Along the bar the arrow keys
+     * change the layout (keeping the zone position), across it they change
+     * the zone; Tab walks through all zones, Home/End jump to the first and
+     * last layout.
+     * @param {KeyboardEvent} event
+     */
+    onOverlayKeydown(event) {
+        const zone = event.target.closest?.('.layout-zone');
+        if (!this.activeApp || !zone) return;
+
+        const options = [...this.overlay.querySelectorAll('.layout-option')];
+        const option = zone.closest('.layout-option');
+        const optionIndex = options.indexOf(option);
+        const zones = [...option.querySelectorAll('.layout-zone')];
+        const zoneIndex = zones.indexOf(zone);
+        const vertical = this.overlayConfig.edge === 'left' || this.overlayConfig.edge === 'right';
+        const keys = PICKER_KEYS[vertical ? 'vertical' : 'horizontal'];
+
+        // Focus the zone at the same position in another layout
+        const focusLayout = (index) => {
+            const target = options[(index + options.length) % options.length];
+            const targetZones = target.querySelectorAll('.layout-zone');
+            targetZones[Math.min(zoneIndex, targetZones.length - 1)]?.focus();
+        };
+
+        switch (event.key) {
+            case keys.layout[0]:
+            case keys.layout[1]:
+                focusLayout(optionIndex + (event.key === keys.layout[0] ? -1 : 1));
+                break;
+            case keys.zone[0]:
+            case keys.zone[1]: {
+                const step = event.key === keys.zone[0] ? -1 : 1;
+                zones[(zoneIndex + step + zones.length) % zones.length].focus();
+                break;
+            }
+            case 'Tab': {
+                const all = [...this.overlay.querySelectorAll('.layout-zone')];
+                const index = all.indexOf(zone) + (event.shiftKey ? -1 : 1);
+                all[(index + all.length) % all.length].focus();
+                break;
+            }
+            case 'Home':
+                focusLayout(0);
+                break;
+            case 'End':
+                focusLayout(options.length - 1);
+                break;
+            case 'Enter':
+            case ' ': {
+                const app = this.activeApp;
+                const zoneInfo = { layoutId: option.dataset.layout, zoneId: zone.dataset.zone };
+                const bounds = zone.getBoundingClientRect();
+                this.hide();
+                this.dropIntoZone(app, zoneInfo, 'keyboard', { x: bounds.left, y: bounds.bottom });
+                break;
+            }
+            case 'Escape':
+                this.hide();
+                this.announce('Snap layouts closed');
+                break;
+            default:
+                return;
+        }
+
+        // Keep Foundry's own bindings (Escape closes windows) out of it
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    /**
+     * Create the layout flyout shown when hovering a maximize header button.
+     * Button hover is detected by delegation on the document, so it works for
+     * header buttons rendered by Foundry (AppV1) and injected ones (AppV2).
+     */
+    createFlyout() {
+        this.flyout = document.createElement('div');
+        this.flyout.id = 'window-maximizer-flyout';
+        document.body.appendChild(this.flyout);
+
+        this.addTrackedListener(document, 'mouseover', (e) => {
+            const button = e.target.closest?.(FLYOUT_BUTTON_SELECTOR);
+            if (!button || button.contains(e.relatedTarget)) return;
+            if (!getSetting('layoutFlyout', true) || this.activeApp) return;
+            // Taps emulate mouseover; touch opens the flyout with a long press instead
+            if (this.lastPointerType !== 'mouse') return;
+
+            const app = this.findAppForElement(button);
+            if (!app) return;
+            if (this.flyoutApp === app) {
+                this.cancelFlyoutTimer();
+                return;
+            }
+            this.scheduleFlyout(() => this.showFlyout(app, button), FLYOUT_OPEN_DELAY);
+        });
+
+        this.addTrackedListener(document, 'mouseout', (e) => {
+            const button = e.target.closest?.(FLYOUT_BUTTON_SELECTOR);
+            if (!button || button.contains(e.relatedTarget)) return;
+            if (this.flyout.contains(e.relatedTarget)) {
+                this.cancelFlyoutTimer();
+                return;
+            }
+            this.scheduleFlyout(() => this.hideFlyout(), FLYOUT_CLOSE_DELAY);
+        });
+
+        // Clicking the button itself (maximize/restore) or anywhere else closes the flyout
+        this.addTrackedListener(document, 'pointerdown', (e) => {
+            if (this.flyout.contains(e.target)) return;
+            if (this.flyoutApp || this.flyoutTimer) this.hideFlyout();
+        }, true);
+
+        this.setupLongPress();
+
+        this.addTrackedListener(this.flyout, 'mouseenter', () => this.cancelFlyoutTimer());
+        this.addTrackedListener(this.flyout, 'mouseleave', (e) => {
+            if (e.relatedTarget?.closest?.(FLYOUT_BUTTON_SELECTOR)) return;
+            this.scheduleFlyout(() => this.hideFlyout(), FLYOUT_CLOSE_DELAY);
+        });
+
+        // Preview the zone under the cursor
+        this.addTrackedListener(this.flyout, 'mouseover', (e) => {
+            const zone = e.target.closest('.layout-zone');
+            this.flyout.querySelectorAll('.layout-zone.active').forEach(z => z.classList.remove('active'));
+            if (!zone) {
+                this.highlight.style.display = 'none';
+                return;
+            }
+            const rect = this.calculateZoneRect(zone.closest('.layout-option').dataset.layout, zone.dataset.zone);
+            if (!rect) return;
+            zone.classList.add('active');
+            this.showHighlight(rect, this.flyoutApp);
+        });
+
+        this.addTrackedListener(this.flyout, 'click', (e) => {
+            const zone = e.target.closest('.layout-zone');
+            const app = this.flyoutApp;
+            if (app && e.target.closest('.layout-grid-picker')) {
+                this.hideFlyout();
+                this.gridPicker.open(app);
+                return;
+            }
+            if (!zone || !app) return;
+
+            const zoneInfo = { layoutId: zone.closest('.layout-option').dataset.layout, zoneId: zone.dataset.zone };
+            const rect = this.calculateZoneRect(zoneInfo.layoutId, zoneInfo.zoneId);
+            this.hideFlyout();
+            if (rect) {
+                debugLog('Snapping from flyout:', zoneInfo, rect);
+                this.snapApp(app, rect, zoneInfo, 'flyout');
+            }
+        });
+    }
+
+    /**
+     * Touch and pen: a long press on a maximize header button opens the
+     * layout flyout, since there is no hover to open it. The click that ends
+     * the press is swallowed so the window is not maximized as well.
+     */
+    setupLongPress() {
+        this.addTrackedListener(document, 'pointerdown', (e) => {
+            this.cancelLongPress();
+            this.suppressNextClick = false;
+            if (!e.pointerType || e.pointerType === 'mouse') return;
+            const button = e.target.closest?.(FLYOUT_BUTTON_SELECTOR);
+            if (!button || !getSetting('layoutFlyout', true) || this.activeApp) return;
+
+            const app = this.findAppForElement(button);
+            if (!app) return;
+            const timer = this.addTrackedTimer(setTimeout(() => {
+                this.clearTrackedTimer(timer);
+                this.longPress = null;
+                this.suppressNextClick = true;
+                this.showFlyout(app, button);
+            }, LONG_PRESS_DELAY));
+            this.longPress = { timer, x: e.clientX, y: e.clientY };
+        }, true);
+
+        this.addTrackedListener(document, 'pointermove', (e) => {
+            if (!this.longPress) return;
+            if (Math.hypot(e.clientX - this.longPress.x, e.clientY - this.longPress.y) > LONG_PRESS_SLOP) {
+                this.cancelLongPress();
+            }
+        }, { passive: true });
+        this.addTrackedListener(document, 'pointerup', () => this.cancelLongPress(), true);
+        this.addTrackedListener(document, 'pointercancel', () => this.cancelLongPress(), true);
+
+        this.addTrackedListener(document, 'click', (e) => {
+            if (!this.suppressNextClick) return;
+            this.suppressNextClick = false;
+            if (!e.target.closest?.(FLYOUT_BUTTON_SELECTOR)) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        }, true);
+
+        // The press would otherwise open the browser's context menu on some tablets
+        this.addTrackedListener(document, 'contextmenu', (e) => {
+            if ((this.longPress || this.suppressNextClick) && e.target.closest?.(FLYOUT_BUTTON_SELECTOR)) e.preventDefault();
+        }, true);
+    }
+
+    /**
+     * Cancel a pending long press
+     */
+    cancelLongPress() {
+        if (!this.longPress) return;
+        this.clearTrackedTimer(this.longPress.timer);
+        this.longPress = null;
+    }
+
+    /**
+     * Run a flyout open/close action after a delay, replacing any pending one
+     * @param {Function} callback
+     * @param {number} delay - Milliseconds
+     */
+    scheduleFlyout(callback, delay) {
+        this.cancelFlyoutTimer();
+        this.flyoutTimer = this.addTrackedTimer(setTimeout(() => {
+            this.clearTrackedTimer(this.flyoutTimer);
+            this.flyoutTimer = null;
+            callback();
+        }, delay));
+    }
+
+    /**
+     * Cancel a pending flyout open/close
+     */
+    cancelFlyoutTimer() {
+        if (!this.flyoutTimer) return;
+        this.clearTrackedTimer(this.flyoutTimer);
+        this.flyoutTimer = null;
+    }
+
+    /**
+     * Open the layout flyout for a window, anchored below its header button
+     * @param {Application|ApplicationV2} app - The window to snap
+     * @param {HTMLElement} anchor - The header button
+     */
+    showFlyout(app, anchor) {
+        if (!anchor.isConnected || this.activeApp) return;
+
+        const reservation = this.getCanvasReservation();
+        this.flyout.replaceChildren(...this.layouts.map(layout => this.createLayoutOption(layout, reservation)));
+        this.flyout.appendChild(this.createGridPickerOption());
+        this.markOccupiedZones(this.flyout, app);
+        this.flyoutApp = app;
+        this.flyout.classList.toggle('touch', this.lastPointerType !== 'mouse');
+        this.flyout.classList.add('active');
+
+        // Below the button, flipped above it if there is no room; kept on screen
+        const margin = 6;
+        const anchorRect = anchor.getBoundingClientRect();
+        const { width, height } = this.flyout.getBoundingClientRect();
+        const left = Math.max(margin, Math.min(anchorRect.left + anchorRect.width / 2 - width / 2, window.innerWidth - width - margin));
+        let top = anchorRect.bottom + margin;
+        if (top + height > window.innerHeight - margin) top = Math.max(margin, anchorRect.top - height - margin);
+        this.flyout.style.left = `${Math.round(left)}px`;
+        this.flyout.style.top = `${Math.round(top)}px`;
+
+        debugLog('Layout flyout opened for', app.constructor?.name);
+    }
+
+    /**
+     * Create the flyout tile that opens the custom grid picker
+     * @returns {HTMLElement}
+     */
+    createGridPickerOption() {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'layout-option layout-grid-picker';
+        option.dataset.layoutLabel = 'Custom grid';
+        option.setAttribute('aria-label', 'Custom grid');
+        option.innerHTML = '<i class="fas fa-table-cells"></i>';
+        return option;
+    }
+
+    /**
+     * Close the layout flyout and its zone preview
+     */
+    hideFlyout() {
+        this.cancelFlyoutTimer();
+        if (!this.flyout) return;
+        const wasOpen = !!this.flyoutApp;
+        this.flyout.classList.remove('active');
+        this.flyout.replaceChildren();
+        this.flyoutApp = null;
+        if (wasOpen && !this.activeZone && !this.edgeSnap) {
+            this.highlight.style.display = 'none';
+            this.windowPreview.reset();
+        }
+    }
+
+    /**
+     * Find the open application whose window contains an element
+     * @param {HTMLElement} element
+     * @returns {Application|ApplicationV2|null}
+     */
+    findAppForElement(element) {
+        const apps = [
+            ...Object.values(ui.windows ?? {}),
+            ...(foundry?.applications?.instances?.values() ?? [])
+        ];
+        return apps.find(app => this.getAppElement(app)?.contains(element)) ?? null;
+    }
+
+    /**
+     * Re-read the overlay settings and apply them to the overlay element
+     */
+    refreshOverlayConfig() {
+        this.overlayConfig = getOverlayConfig();
+        if (this.overlay) applyOverlayConfig(this.overlay, this.overlayConfig);
+        debugLog('Overlay config updated:', this.overlayConfig);
+    }
+
+    /**
+     * Show or hide the overlay for a drag based on the cursor position:
+     * shown inside the trigger distance of the overlay edge (after the hover
+     * delay), hidden beyond the hide distance.
+     * @param {Application|ApplicationV2} app - The window being dragged
+     * @param {number} x - Cursor X
+     * @param {number} y - Cursor Y
+     */
+    updateOverlayForDrag(app, x, y) {
+        const { edge, triggerDistance, hideDistance } = this.overlayConfig;
+        const distance = distanceFromEdge(x, y, edge);
+
+        if (distance < triggerDistance) {
+            if (!this.activeApp) this.requestShow(app);
+            return;
+        }
+
+        this.cancelPendingShow();
+        if (this.activeApp && distance > hideDistance) {
+            debugLog('Hiding overlay at distance', distance);
+            this.hide();
+        }
+    }
+
+    /**
+     * Show the overlay for a window whose outer side reached the overlay edge.
+     * Used by the AppV2 polling fallback, which only knows the window rect.
+     * @param {Application|ApplicationV2} app - The window being dragged
+     * @param {DOMRect} rect - The window's bounding rect
+     */
+    updateOverlayForWindow(app, rect) {
+        if (this.activeApp || this.edgeSnap || this.dragModifiers.suppress) return;
+        if (rectDistanceFromEdge(rect, this.overlayConfig.edge) < this.overlayConfig.triggerDistance) {
+            this.requestShow(app);
+        }
+    }
+
+    /**
+     * Read the drag modifier keys from a move event and remember them for the
+     * rest of the drag (the AppV2 polling fallback has no event of its own)
+     * @param {MouseEvent} event
+     * @returns {{suppress: boolean, summon: boolean}}
+     */
+    updateDragModifiers(event) {
+        const { suppressModifier, summonModifier } = this.overlayConfig;
+        const suppress = isModifierHeld(event, suppressModifier);
+        this.dragModifiers = { suppress, summon: !suppress && isModifierHeld(event, summonModifier) };
+        return this.dragModifiers;
+    }
+
+    /**
+     * Turn snapping off while the suppress modifier is held: drop the pending
+     * edge snap and close the overlay
+     */
+    suppressDragSnapping() {
+        this.cancelPendingShow();
+        if (this.edgeSnap) this.clearEdgeSnap();
+        if (this.activeApp) this.hide();
+    }
+
+    /**
+     * Open the overlay next to the cursor while the summon modifier is held.
+     * The bar is placed once, just below the cursor, so the pointer can move
+     * onto it.
+     * @param {Application|ApplicationV2} app - The window being dragged
+     * @param {number} x - Cursor X
+     * @param {number} y - Cursor Y
+     */
+    summonOverlay(app, x, y) {
+        if (this.overlaySummoned) return;
+        this.cancelPendingShow();
+        if (this.edgeSnap) this.clearEdgeSnap();
+        if (this.activeApp) this.hide();
+
+        this.overlay.classList.add('at-cursor');
+        this.show(app);
+        this.overlaySummoned = true;
+
+        const bar = this.overlay.querySelector('#window-maximizer-bar');
+        const margin = 10;
+        const { width, height } = bar.getBoundingClientRect();
+        const left = Math.max(margin, Math.min(x - width / 2, window.innerWidth - width - margin));
+        let top = y + 16;
+        if (top + height > window.innerHeight - margin) top = Math.max(margin, y - height - 16);
+        bar.style.left = `${Math.round(left)}px`;
+        bar.style.top = `${Math.round(top)}px`;
+        debugLog('Overlay summoned at', x, y);
+    }
+
+    /**
+     * Close the summoned overlay once the summon modifier is released
+     */
+    releaseSummonedOverlay() {
+        if (this.overlaySummoned) this.hide();
+    }
+
+    /**
+     * Show the overlay once the hover delay has passed. The cursor must still
+     * be inside the trigger zone when the delay ends.
+     * @param {Application|ApplicationV2} app - The window being dragged
+     */
+    requestShow(app) {
+        const { hoverDelay } = this.overlayConfig;
+        if (hoverDelay <= 0) {
+            this.show(app);
+            return;
+        }
+        if (this.pendingShowTimer) return;
+
+        this.pendingShowTimer = this.addTrackedTimer(setTimeout(() => {
+            this.clearTrackedTimer(this.pendingShowTimer);
+            this.pendingShowTimer = null;
+            const { x, y } = this.lastMousePosition;
+            const { edge, triggerDistance } = this.overlayConfig;
+            if (!this.activeApp && !this.edgeSnap && distanceFromEdge(x, y, edge) < triggerDistance) {
+                this.show(app);
+            }
+        }, hoverDelay));
+    }
+
+    /**
+     * Cancel a delayed overlay show
+     */
+    cancelPendingShow() {
+        if (!this.pendingShowTimer) return;
+        this.clearTrackedTimer(this.pendingShowTimer);
+        this.pendingShowTimer = null;
     }
 
     /**
@@ -649,7 +1233,9 @@ export class SnapLayouter {
     }
 
     /**
-     * Find which zone (if any) is at the given screen coordinates
+     * Find which zone (if any) is at the given screen coordinates.
+     * For touch and pen input a zone within TOUCH_HIT_SLOP of the point
+     * counts as well, since a fingertip rarely lands exactly on a miniature.
      * @param {number} x - Screen X coordinate
      * @param {number} y - Screen Y coordinate
      * @returns {Object|null} - {layoutId, zoneId} or null
@@ -661,7 +1247,10 @@ export class SnapLayouter {
             return null;
         }
 
-        const zone = element.closest('.layout-zone');
+        let zone = element.closest('.layout-zone');
+        if (!zone && this.lastPointerType !== 'mouse' && this.activeApp) {
+            zone = this.findNearestZone(x, y, TOUCH_HIT_SLOP);
+        }
         if (!zone) {
             debugLog('Element not in a zone:', element.className);
             return null;
@@ -681,9 +1270,81 @@ export class SnapLayouter {
         return result;
     }
 
+    /**
+     * Find the overlay zone closest to a point, within a maximum distance
+     * @param {number} x
+     * @param {number} y
+     * @param {number} maxDistance - Pixels from the zone's edge
+     * @returns {HTMLElement|null}
+     */
+    findNearestZone(x, y, maxDistance) {
+        let nearest = null;
+        let nearestDistance = maxDistance;
+        for (const zone of this.overlay.querySelectorAll('.layout-zone')) {
+            const rect = zone.getBoundingClientRect();
+            const dx = Math.max(rect.left - x, 0, x - rect.right);
+            const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+            const distance = Math.hypot(dx, dy);
+            if (distance <= nearestDistance) {
+                nearest = zone;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Highlight the zone under a point during a drag. Touch and pen drags
+     * keep implicit pointer capture on the window header, so the zones never
+     * get enter/leave events and have to be followed by position.
+     * @param {number} x
+     * @param {number} y
+     */
+    trackZoneAtPosition(x, y) {
+        const zoneInfo = this.findZoneAtPosition(x, y);
+        if (zoneInfo) {
+            // Check if zone changed to avoid redundant calls
+            const current = this.activeZone;
+            if (!current || current.layoutId !== zoneInfo.layoutId || current.zoneId !== zoneInfo.zoneId) {
+                debugLog('Hovering over zone:', zoneInfo);
+                this.activateZone(zoneInfo.layoutId, zoneInfo.zoneId);
+            }
+        } else if (this.activeZone) {
+            // Not over a zone, deactivate highlight
+            this.deactivateZone();
+        }
+    }
+
+    /**
+     * Drop the dragged window onto the zone under a point, if any. Used when
+     * the release does not reach the zone itself (AppV2 drags, touch and pen).
+     * @param {number} x
+     * @param {number} y
+     * @param {string} source - snapApp() source of the drop
+     * @returns {boolean} - True if the point was over a zone
+     */
+    dropAtPosition(x, y, source) {
+        if (!this.activeApp) return false;
+        const zoneInfo = this.findZoneAtPosition(x, y);
+        if (!zoneInfo) {
+            debugLog('Pointer not over a zone');
+            return false;
+        }
+        debugLog('Pointer released over zone:', zoneInfo);
+        this.dropIntoZone(this.activeApp, zoneInfo, source, { x, y });
+        return true;
+    }
+
     show(app) {
+        this.hideFlyout();
+        this.snapAssist.dismiss();
+        this.dropChoice.dismiss();
+        this.gridPicker.close();
         this.activeApp = app;
+        this.markOccupiedZones(this.overlay, app);
+        this.overlay.classList.toggle('touch', this.lastPointerType !== 'mouse');
         this.overlay.classList.add('active');
+        this.overlay.setAttribute('aria-hidden', 'false');
 
         // Track overlay show operation for performance metrics
         this.performance.recordOverlayShow();
@@ -691,6 +1352,8 @@ export class SnapLayouter {
         // Activate zone under cursor if present (handles case where overlay appears under mouse)
         // Using tracked timer to prevent memory leaks
         this.addTrackedTimer(setTimeout(() => {
+            // The keyboard picker previews the focused zone instead
+            if (this.keyboardPicker) return;
             const zoneInfo = this.findZoneAtPosition(this.lastMousePosition.x, this.lastMousePosition.y);
             if (zoneInfo) {
                 this.activateZone(zoneInfo.layoutId, zoneInfo.zoneId);
@@ -699,9 +1362,31 @@ export class SnapLayouter {
     }
 
     hide() {
+        this.cancelPendingShow();
         this.overlay.classList.remove('active');
+        this.overlay.setAttribute('aria-hidden', 'true');
         this.deactivateZone(); // Use centralized method to clear zone state and minimap highlights
+        this.windowPreview.reset();
+        const app = this.activeApp;
         this.activeApp = null;
+
+        if (this.overlaySummoned) {
+            this.overlaySummoned = false;
+            this.overlay.classList.remove('at-cursor');
+            const bar = this.overlay.querySelector('#window-maximizer-bar');
+            bar.style.left = '';
+            bar.style.top = '';
+        }
+
+        // Hand focus back to where the keyboard picker was opened from
+        if (this.keyboardPicker) {
+            this.keyboardPicker = false;
+            const returnFocus = this.keyboardReturnFocus?.isConnected
+                ? this.keyboardReturnFocus
+                : (app ? this.getAppElement(app) : null);
+            this.keyboardReturnFocus = null;
+            returnFocus?.focus?.();
+        }
     }
 
     activateZone(layoutId, zoneId) {
@@ -710,17 +1395,90 @@ export class SnapLayouter {
         // Calculate preview rectangle based on zone
         const rect = this.calculateZoneRect(layoutId, zoneId);
         if (rect) {
-            this.highlight.style.display = 'block';
-            this.highlight.style.top = rect.y + 'px';
-            this.highlight.style.left = rect.x + 'px';
-            this.highlight.style.width = rect.w + 'px';
-            this.highlight.style.height = rect.h + 'px';
+            this.showHighlight(rect, this.activeApp);
+            this.highlight.classList.toggle('occupied', this.getZoneOccupants(layoutId, zoneId, this.activeApp).length > 0);
         }
 
         // Highlight the zone in the minimap
         this.highlightZoneInMinimap(layoutId, zoneId);
     }
 
+    /**
+     * Show the on-screen preview of where a window will be snapped
+     * @param {{x: number, y: number, w: number, h: number}} rect
+     * @param {Application|ApplicationV2|null} [app] - Window to preview inside the highlight
+     */
+    showHighlight(rect, app = null) {
+        if (app) this.windowPreview.show(app, rect);
+        else this.windowPreview.reset();
+        this.highlight.classList.remove('occupied');
+        this.highlight.style.display = 'block';
+        this.highlight.style.top = rect.y + 'px';
+        this.highlight.style.left = rect.x + 'px';
+        this.highlight.style.width = rect.w + 'px';
+        this.highlight.style.height = rect.h + 'px';
+    }
+
+    /**
+     * Update the pending edge snap for a window being dragged. Shows the
+     * preview while the cursor is at a left/right screen edge or corner and
+     * clears it otherwise.
+     * @param {Application|ApplicationV2} app - The window being dragged
+     * @param {number} x - Cursor X
+     * @param {number} y - Cursor Y
+     * @returns {boolean} - True if an edge snap is pending
+     */
+    updateEdgeSnap(app, x, y) {
+        let zoneId = getSetting('edgeSnapping', true)
+            ? findEdgeSnapZone(x, y, getViewportRect())
+            : null;
+        // A side edge that hosts the overlay belongs to the overlay
+        if (zoneId && zoneId.split('-').pop() === this.overlayConfig.edge) zoneId = null;
+
+        if (!zoneId) {
+            if (this.edgeSnap) this.clearEdgeSnap();
+            return false;
+        }
+        if (this.edgeSnap?.app === app && this.edgeSnap.zoneId === zoneId) return true;
+
+        const rect = this.calculateZoneRect(EDGE_SNAP_LAYOUT.id, zoneId);
+        if (!rect) return false;
+
+        // The edge preview replaces the overlay while the cursor is at an edge
+        if (this.activeApp) this.hide();
+        this.edgeSnap = { app, layoutId: EDGE_SNAP_LAYOUT.id, zoneId };
+        this.showHighlight(rect, app);
+        debugLog('Edge snap pending:', zoneId);
+        return true;
+    }
+
+    /**
+     * Snap the window of the pending edge snap, if any
+     * @returns {boolean} - True if a window was snapped
+     */
+    commitEdgeSnap() {
+        const pending = this.edgeSnap;
+        if (!pending) return false;
+        this.clearEdgeSnap();
+
+        const rect = this.calculateZoneRect(pending.layoutId, pending.zoneId);
+        if (!rect) return false;
+        debugLog('Edge snapping to', pending.zoneId, rect);
+        this.snapApp(pending.app, rect, { layoutId: pending.layoutId, zoneId: pending.zoneId }, 'edgeSnap');
+        return true;
+    }
+
+    /**
+     * Drop the pending edge snap and its preview
+     */
+    clearEdgeSnap() {
+        this.edgeSnap = null;
+        if (!this.activeZone && this.highlight) {
+            this.highlight.style.display = 'none';
+            this.windowPreview.reset();
+        }
+    }
+
     /**
      * Highlight a zone in the minimap layout bar
      * Adds visual feedback when hovering over zones
@@ -769,51 +1527,223 @@ export class SnapLayouter {
             return;
         }
 
-        const rect = this.calculateZoneRect(layoutId, zoneId);
-        if (rect) {
-            debugLog('Snapping to zone:', layoutId, zoneId, rect);
-            this.snapApp(this.activeApp, rect, { layoutId, zoneId }, 'overlayDrop');
-        } else {
+        this.dropIntoZone(this.activeApp, { layoutId, zoneId }, 'overlayDrop', { x: event.clientX, y: event.clientY });
+        this.hide();
+    }
+
+    /**
+     * Snap a dragged window into the zone it was dropped on. Windows already
+     * occupying that zone are handled by the occupiedZonePolicy setting:
+     * swapped, pushed to the nearest free zone, sent back to their original
+     * position, stacked underneath, or the user is asked.
+     * @param {Application|ApplicationV2} app - The dropped window
+     * @param {{layoutId: string, zoneId: string}} zoneInfo - The target zone
+     * @param {string} source - snapApp() source of the drop
+     * @param {{x: number, y: number}} [position] - Cursor position of the drop
+     * @returns {Promise<boolean>} - True if the window was snapped
+     */
+    async dropIntoZone(app, zoneInfo, source, position = this.lastMousePosition) {
+        const { layoutId, zoneId } = zoneInfo;
+        if (!this.calculateZoneRect(layoutId, zoneId)) {
             debugLog('Could not calculate rect for zone:', layoutId, zoneId);
+            return false;
+        }
+
+        // The zone the window came from, so occupants can be swapped into it
+        const previousZone = this.appStateMap.get(app)?.zoneInfo
+            ?? (this.vacatedZone?.app === app ? this.vacatedZone.zoneInfo : null);
+        this.vacatedZone = null;
+
+        const occupants = this.getZoneOccupants(layoutId, zoneId, app);
+        if (occupants.length > 0) {
+            let policy = getSetting('occupiedZonePolicy', 'ask');
+            if (!(policy in DROP_CHOICES)) {
+                policy = await this.dropChoice.ask({
+                    x: position.x,
+                    y: position.y,
+                    occupant: occupants.map(occupant => occupant.title || occupant.constructor.name).join(', ')
+                });
+            }
+            debugLog('Drop onto occupied zone:', zoneInfo, 'policy:', policy);
+            if (!policy) return false;
+            // Re-read: occupants may have closed or moved while the prompt was open
+            const current = this.getZoneOccupants(layoutId, zoneId, app);
+            if (current.length > 0) this.moveOccupants(policy, current, previousZone, zoneInfo);
+        }
+
+        // Recalculated: the work area may have changed while the prompt was open
+        const rect = this.calculateZoneRect(layoutId, zoneId);
+        if (!rect) return false;
+        debugLog('Snapping to zone:', layoutId, zoneId, rect);
+        this.snapApp(app, rect, zoneInfo, source);
+        return true;
+    }
+
+    /**
+     * Move the windows occupying a zone out of the way of a dropped window.
+     * Swap and push fall back to sending the window back when there is no
+     * zone to move it to.
+     * @param {string} policy - Key of DROP_CHOICES
+     * @param {Array<Application|ApplicationV2>} occupants
+     * @param {{layoutId: string, zoneId: string}|null} previousZone - Zone the dropped window came from
+     * @param {{layoutId: string, zoneId: string}} targetZone - Zone the window was dropped on
+     */
+    moveOccupants(policy, occupants, previousZone, targetZone) {
+        if (policy === 'stack') return;
+
+        const sameZone = previousZone
+            && previousZone.layoutId === targetZone.layoutId
+            && previousZone.zoneId === targetZone.zoneId;
+        const swapRect = policy === 'swap' && previousZone && !sameZone
+            ? this.calculateZoneRect(previousZone.layoutId, previousZone.zoneId)
+            : null;
+
+        for (const occupant of occupants) {
+            if (swapRect) {
+                this.snapApp(occupant, swapRect, { ...previousZone }, 'swap');
+                continue;
+            }
+            const freeZone = policy === 'push' ? this.findNearestFreeZone(targetZone.layoutId, targetZone.zoneId) : null;
+            if (freeZone) {
+                this.snapApp(occupant, freeZone.rect, { layoutId: targetZone.layoutId, zoneId: freeZone.zoneId }, 'push');
+            } else {
+                this.restoreApp(occupant);
+            }
+        }
+    }
+
+    /**
+     * Find the empty zone of a layout closest to one of its zones
+     * @param {string} layoutId
+     * @param {string} zoneId - Zone to measure from (centre to centre)
+     * @returns {{zoneId: string, rect: Object}|null}
+     */
+    findNearestFreeZone(layoutId, zoneId) {
+        const layout = this.getLayout(layoutId);
+        const from = this.calculateZoneRect(layoutId, zoneId);
+        if (!layout || !from) return null;
+
+        const centre = rect => ({ x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 });
+        const origin = centre(from);
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const zone of this.snapAssist.getEmptyZones(layout)) {
+            const { x, y } = centre(zone.rect);
+            const distance = Math.hypot(x - origin.x, y - origin.y);
+            if (distance < nearestDistance) {
+                nearest = zone;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Collect the open snapped windows per zone from the registry
+     * @param {Application|ApplicationV2|null} [exclude] - Window to leave out (usually the one being dragged)
+     * @returns {Map<string, Map<string, Array<Application|ApplicationV2>>>} - layoutId -> zoneId -> windows
+     */
+    getOccupiedZones(exclude = null) {
+        const occupied = new Map();
+        for (const state of this.registry.getAllStatesArray()) {
+            if (!state.isOpen || !state.zoneInfo) continue;
+            const app = this.findOpenApplication(state.appKey);
+            if (!app || app === exclude || !this.appStateMap.has(app)) continue;
+
+            const { layoutId, zoneId } = state.zoneInfo;
+            if (!occupied.has(layoutId)) occupied.set(layoutId, new Map());
+            const zones = occupied.get(layoutId);
+            if (!zones.has(zoneId)) zones.set(zoneId, []);
+            zones.get(zoneId).push(app);
+        }
+        return occupied;
+    }
+
+    /**
+     * Get the open windows snapped into a zone
+     * @param {string} layoutId
+     * @param {string} zoneId
+     * @param {Application|ApplicationV2|null} [exclude] - Window to leave out
+     * @returns {Array<Application|ApplicationV2>}
+     */
+    getZoneOccupants(layoutId, zoneId, exclude = null) {
+        return this.getOccupiedZones(exclude).get(layoutId)?.get(zoneId) ?? [];
+    }
+
+    /**
+     * Mark the minimap zones that already hold a snapped window with its title
+     * @param {HTMLElement} container - Overlay or flyout containing layout options
+     * @param {Application|ApplicationV2|null} [exclude] - Window to leave out (the one being placed)
+     */
+    markOccupiedZones(container, exclude = null) {
+        container.querySelectorAll('.layout-zone.occupied').forEach(zone => {
+            zone.classList.remove('occupied');
+            zone.removeAttribute('title');
+            zone.setAttribute('aria-label', zone.dataset.label ?? '');
+            zone.replaceChildren();
+        });
+
+        for (const [layoutId, zones] of this.getOccupiedZones(exclude)) {
+            const option = container.querySelector(`.layout-option[data-layout="${CSS.escape(layoutId)}"]`);
+            if (!option) continue;
+            for (const [zoneId, apps] of zones) {
+                const zone = option.querySelector(`.layout-zone[data-zone="${CSS.escape(zoneId)}"]`);
+                if (!zone) continue;
+                const titles = apps.map(app => app.title || app.constructor.name);
+                const label = document.createElement('span');
+                label.className = 'zone-occupant';
+                label.textContent = titles[0] + (titles.length > 1 ? ` +${titles.length - 1}` : '');
+                zone.classList.add('occupied');
+                zone.title = titles.join('\n');
+                zone.setAttribute('aria-label', `${zone.dataset.label}, occupied by ${titles.join(', ')}`);
+                zone.appendChild(label);
+            }
         }
-        this.hide();
+    }
+
+    /**
+     * Get a layout offered in the bar, or the edge snap layout
+     * @param {string} layoutId
+     * @returns {Object|undefined}
+     */
+    getLayout(layoutId) {
+        // Edge snap targets live outside the bar
+        if (layoutId === EDGE_SNAP_LAYOUT.id) return EDGE_SNAP_LAYOUT;
+        return this.layouts.find(l => l.id === layoutId);
     }
 
     calculateZoneRect(layoutId, zoneId) {
-        const screenWidth = window.innerWidth;
-        const screenHeight = window.innerHeight;
+        // Zones are laid out inside the layout area (work area minus canvas reservation)
+        const area = this.getLayoutArea();
+        const spacing = this.getZoneSpacing();
 
-        // Find the layout definition
-        const layout = this.layouts.find(l => l.id === layoutId);
+        // Find the layout definition; custom grid areas carry their own in the zone id
+        const layout = layoutId === GRID_LAYOUT_ID ? getGridZoneLayout(zoneId) : this.getLayout(layoutId);
         if (!layout) {
             // Fallback for 'full' if layouts not initialized (e.g., called from maximize button)
             if (layoutId === 'full') {
-                return { x: 0, y: 0, w: screenWidth, h: screenHeight };
+                return insetRect(area, spacing.margin);
             }
             return null;
         }
 
-        // Find the zone within the layout
-        const zone = layout.zones.find(z => z.id === zoneId);
-        if (!zone) return null;
-
-        // Calculate zone dimensions based on grid position
-        const colWidth = screenWidth / layout.cols;
-        const rowHeight = screenHeight / layout.rows;
+        // Only leaf zones are snap targets; zoneId may be a nested path like "right/top"
+        if (!isLeafZonePath(layout, zoneId)) return null;
 
-        const colSpan = zone.colSpan || 1;
-        const rowSpan = zone.rowSpan || 1;
-
-        const colStart = Math.round(zone.col * colWidth);
-        const rowStart = Math.round(zone.row * rowHeight);
-        const colEnd   = Math.round((zone.col + colSpan) * colWidth);
-        const rowEnd   = Math.round((zone.row + rowSpan) * rowHeight);
+        // Calculate zone dimensions based on grid position, track weights and spacing
+        return getZoneRectByPath(layout, zoneId, area, spacing);
+    }
 
+    /**
+     * Get the configured spacing between and around snapped zones
+     * @returns {{gap: number, margin: number}} - Inner gap and outer margin in pixels
+     */
+    getZoneSpacing() {
+        const gap = Number(getSetting('zoneGap', 0));
+        const margin = Number(getSetting('outerMargin', 0));
         return {
-            x: colStart,
-            y: rowStart,
-            w: colEnd - colStart,
-            h: rowEnd - rowStart
+            gap: Number.isFinite(gap) ? Math.max(0, gap) : 0,
+            margin: Number.isFinite(margin) ? Math.max(0, margin) : 0
         };
     }
 
@@ -888,6 +1818,24 @@ export class SnapLayouter {
         return app.element instanceof HTMLElement ? app.element : app.element[0];
     }
 
+    /**
+     * Move a window, animated if window animations are enabled
+     * @param {Application|ApplicationV2} app
+     * @param {Position} position - {left, top, width, height}
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - False stops any running animation and moves at once
+     */
+    setAppPosition(app, position, { animate = true } = {}) {
+        const element = this.getAppElement(app);
+        const animation = getAnimationConfig();
+        if (!element || !animate || !animation.enabled) {
+            if (element) stopAnimation(element);
+            app.setPosition(position);
+            return;
+        }
+        animatePosition(element, () => app.setPosition(position), animation);
+    }
+
     /**
      * Snap an application to a zone
      * @param {Application|ApplicationV2} app - The application to snap
@@ -919,16 +1867,18 @@ export class SnapLayouter {
             height: pos.height
         };
 
-        // Clamp rect to viewport bounds to prevent off-screen positioning
-        const MIN_VISIBLE = 200;
-        rect.x = Math.max(0, Math.min(rect.x, window.innerWidth - MIN_VISIBLE));
-        rect.y = Math.max(0, Math.min(rect.y, window.innerHeight - MIN_VISIBLE));
-        rect.w = Math.max(MIN_VISIBLE, Math.min(rect.w, window.innerWidth - rect.x));
-        rect.h = Math.max(MIN_VISIBLE, Math.min(rect.h, window.innerHeight - rect.y));
+        // Clamp rect to the work area to prevent off-screen positioning
+        // and keep reserved UI regions (sidebar, hotbar, ...) uncovered
+        rect = this.clampRectToWorkArea(rect);
 
         // Store state in WeakMap to prevent global state pollution
         // This is the ONLY place we store snap state - no pollution of app object
-        if (!this.appStateMap.has(app)) {
+        // Re-snapping an already snapped window keeps its original position
+        // but moves it to the new zone.
+        const existingState = this.appStateMap.get(app);
+        if (existingState) {
+            existingState.zoneInfo = zoneInfo;
+        } else {
             this.appStateMap.set(app, {
                 originalPosition: { ...originalPosition },
                 zoneInfo
@@ -936,7 +1886,9 @@ export class SnapLayouter {
         }
 
         // Register in the global registry (survives window closes)
-        if (!this.registry.getState(app)) {
+        if (this.registry.getState(app)) {
+            this.registry.updateZoneInfo(app, zoneInfo);
+        } else {
             this.registry.registerSnap(app, originalPosition, zoneInfo);
         }
 
@@ -949,7 +1901,7 @@ export class SnapLayouter {
 
         // Wrap setPosition in try-catch for error handling
         try {
-            app.setPosition(snapPosition);
+            this.setAppPosition(app, snapPosition);
         } catch (error) {
             debugLog('Failed to set position:', error);
             ui.notifications?.error('Failed to maximize window');
@@ -958,6 +1910,7 @@ export class SnapLayouter {
 
         // Re-apply on the next frame so Foundry's drag-end cleanup (which may commit
         // a cursor-based position after our handler) cannot override the snap.
+        // A running snap animation just retargets to the same position.
         requestAnimationFrame(() => {
             try {
                 if (this.appStateMap.has(app) && typeof app.setPosition === 'function') {
@@ -976,12 +1929,18 @@ export class SnapLayouter {
         // Use WeakMap check instead of polluting app object
         this.updateHeaderButton(app);
 
+        this.announce(`${app.title || app.constructor.name} snapped to ${this.describeZone(zoneInfo)}`);
+
         // Notify subscribers (telemetry) of the snap action with pattern info.
         try {
             Hooks.callAll('windowMaximizer.snap', { app, zoneInfo, source });
         } catch (e) {
             debugLog('snap hook listener threw', e);
         }
+
+        // Offer the other open windows for the zones left empty (not for plain
+        // maximize, nor for workspaces, which place every window themselves)
+        if (source !== 'maximize' && source !== 'workspace') this.snapAssist.offer(app, zoneInfo);
     }
 
     /**
@@ -1003,7 +1962,7 @@ export class SnapLayouter {
         if (state) {
             // Wrap setPosition in try-catch for error handling
             try {
-                app.setPosition(state.originalPosition);
+                this.setAppPosition(app, this.clampPositionToWorkArea(state.originalPosition));
             } catch (error) {
                 debugLog('Failed to restore position:', error);
                 ui.notifications?.error('Failed to restore window');
@@ -1012,11 +1971,22 @@ export class SnapLayouter {
             this.appStateMap.delete(app);
             // No pollution of app object - state is only in WeakMap
             this.updateHeaderButton(app);
+            this.announce(`${app.title || app.constructor.name} restored`);
         }
         // Remove from global registry
         this.registry.removeState(app);
     }
 
+    /**
+     * Forget that a window is snapped, leaving it where it is
+     * @param {Application|ApplicationV2} app
+     */
+    releaseApp(app) {
+        if (!this.appStateMap.delete(app) && !this.registry.getState(app)) return;
+        this.registry.removeState(app);
+        this.updateHeaderButton(app);
+    }
+
     /**
      * Restore all snapped windows to their original positions
      * Re-opens closed windows if possible
@@ -1045,7 +2015,7 @@ export class SnapLayouter {
                     // Wrap setPosition in try-catch for error handling
                     // This ensures we continue to the next window even if one fails
                     try {
-                        app.setPosition(state.originalPosition);
+                        this.setAppPosition(app, this.clampPositionToWorkArea(state.originalPosition));
                         this.appStateMap.delete(app);
                         // No pollution of app object - state is only in WeakMap
                         this.updateHeaderButton(app);
@@ -1100,30 +2070,145 @@ export class SnapLayouter {
             return null;
         }
 
+        // Open the document's sheet with the original position
+        return this.openDocumentSheet(state.documentInfo, this.clampPositionToWorkArea(state.originalPosition));
+    }
+
+    /**
+     * Call back once an application has rendered, or drop the callback if it
+     * is closed first. Uses the render hooks rather than polling, since
+     * browsers pause animation frames in background tabs.
+     * @param {Application|ApplicationV2} app
+     * @param {Function} callback - Called with the application
+     * @returns {Function} - Cancels the callback
+     */
+    whenRendered(app, callback) {
+        if (app.rendered) {
+            callback(app);
+            return () => {};
+        }
+
+        const hooks = [];
+        const cancel = () => {
+            for (const [eventName, handler] of hooks) this.removeTrackedHook(eventName, handler);
+            hooks.length = 0;
+        };
+        const onRender = (rendered) => {
+            if (rendered !== app) return;
+            cancel();
+            callback(app);
+        };
+        const onClose = (closed) => {
+            if (closed === app) cancel();
+        };
+        // AppV1 windows also call renderApplication, AppV2 windows renderApplicationV2
+        for (const [eventName, handler] of [
+            ['renderApplication', onRender],
+            ['renderApplicationV2', onRender],
+            ['closeApplication', onClose],
+            ['closeApplicationV2', onClose]
+        ]) {
+            hooks.push([eventName, this.addTrackedHook(eventName, handler)]);
+        }
+        return cancel;
+    }
+
+    /**
+     * Open the sheet of a document and wait until it is rendered
+     * @param {import('./window-state-registry.js').DocumentInfo} documentInfo
+     * @param {Position} [position] - Where to open it; the sheet's default if omitted
+     * @param {Function} [onRendered] - Called with the sheet once it has rendered,
+     *   even if that takes longer than this function waits
+     * @returns {Promise<Application|ApplicationV2|null>} The sheet (which may still
+     *   be rendering if it is slow), or null if the document could not be opened
+     */
+    async openDocumentSheet(documentInfo, position, onRendered = null) {
+        if (!documentInfo?.uuid) return null;
+
         try {
             // Fetch the document by UUID
-            const doc = await fromUuid(state.documentInfo.uuid);
+            const doc = await fromUuid(documentInfo.uuid);
             if (!doc) {
-                debugLog(`Document not found for ${state.documentInfo.uuid} (may have been deleted)`);
+                debugLog(`Document not found for ${documentInfo.uuid} (may have been deleted)`);
                 return null;
             }
 
-            // Open the document's sheet with the original position
-            const sheet = await doc.sheet.render(true, {
-                left: state.originalPosition.left,
-                top: state.originalPosition.top,
-                width: state.originalPosition.width,
-                height: state.originalPosition.height
+            const options = position ? {
+                left: position.left,
+                top: position.top,
+                width: position.width,
+                height: position.height
+            } : {};
+            const sheet = await doc.sheet.render(true, options);
+
+            // AppV1 render() returns before the window exists
+            let late = false;
+            const rendered = await new Promise(resolve => {
+                const timer = this.addTrackedTimer(setTimeout(() => {
+                    this.clearTrackedTimer(timer);
+                    late = true;
+                    resolve(false);
+                }, SHEET_RENDER_TIMEOUT));
+                this.whenRendered(sheet, () => {
+                    this.clearTrackedTimer(timer);
+                    if (!late) {
+                        resolve(true);
+                        return;
+                    }
+                    // Let the render finish before the window is moved
+                    this.addTrackedTimer(setTimeout(() => onRendered?.(sheet), 0));
+                });
             });
 
-            debugLog(`Reopened ${state.documentInfo.documentName}: ${doc.name}`);
+            if (rendered) {
+                debugLog(`Reopened ${documentInfo.documentName}: ${doc.name}`);
+                onRendered?.(sheet);
+            } else {
+                debugLog(`Sheet of ${documentInfo.uuid} is slow to render; it is handled once it opens`);
+            }
             return sheet;
         } catch (error) {
-            debugLog(`Failed to reopen document ${state.documentInfo.uuid}:`, error);
+            debugLog(`Failed to reopen document ${documentInfo.uuid}:`, error);
             return null;
         }
     }
 
+    /**
+     * Save the registry to client storage so Restore All survives a reload
+     */
+    persistStates() {
+        game.settings.set(MODULE_ID, 'windowStates', this.registry.serialize()).catch(error => {
+            debugLog('Failed to persist window states:', error);
+        });
+    }
+
+    /**
+     * Load the registry saved by the previous session, dropping the states
+     * of documents that no longer exist
+     * @returns {Promise<number>} - Number of states kept
+     */
+    async loadPersistedStates() {
+        const loaded = this.registry.hydrate(getSetting('windowStates', []));
+        if (loaded === 0) return 0;
+
+        let pruned = 0;
+        for (const state of this.registry.getAllStatesArray()) {
+            if (state.isOpen) continue;
+            let doc = null;
+            try {
+                doc = await fromUuid(state.documentInfo.uuid);
+            } catch (error) {
+                debugLog(`Invalid persisted document ${state.documentInfo.uuid}:`, error);
+            }
+            if (doc) continue;
+            this.registry.removeStateByKey(state.appKey);
+            pruned++;
+        }
+
+        debugLog(`Loaded ${loaded - pruned} persisted window state(s), pruned ${pruned}`);
+        return loaded - pruned;
+    }
+
     /**
      * Find an open application by its registry key
      * @param {string} appKey - The application key from the registry
@@ -1279,12 +2364,28 @@ export class SnapLayouter {
         if (this.highlight && this.highlight.parentNode) {
             this.highlight.parentNode.removeChild(this.highlight);
         }
+        if (this.flyout && this.flyout.parentNode) {
+            this.flyout.parentNode.removeChild(this.flyout);
+        }
+        this.liveRegion?.remove();
+        this.snapAssist?.dismiss();
+        this.dropChoice?.dismiss();
+        this.gridPicker?.close();
+        this.windowPreview?.reset();
 
         // Reset state
         this.overlay = null;
         this.highlight = null;
         this.activeApp = null;
         this.activeZone = null;
+        this.edgeSnap = null;
+        this.flyout = null;
+        this.flyoutApp = null;
+        this.vacatedZone = null;
+        this.longPress = null;
+        this.liveRegion = null;
+        this.keyboardPicker = false;
+        this.keyboardReturnFocus = null;
 
         debugLog('SnapLayouter.cleanup: All listeners, timers, and hooks removed');
     }
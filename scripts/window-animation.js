@@ -0,0 +1,73 @@
+/**
+ * Animated snap and restore transitions.
+ *
+ * Windows are animated with a CSS transition on left/top/width/height that is
+ * switched on just before setPosition() and off again once it has finished.
+ * Because the browser animates towards whatever inline position is current,
+ * later setPosition() calls (like the requestAnimationFrame re-apply in
+ * snapApp()) simply retarget the running transition instead of fighting it.
+ */
+
+import { getSetting } from './settings.js';
+
+/**
+ * Choices of the animationEasing setting, mapped to CSS timing functions
+ * @type {Record<string, {label: string, css: string}>}
+ */
+export const ANIMATION_EASINGS = {
+    'ease-out': { label: 'Ease out', css: 'ease-out' },
+    'ease-in-out': { label: 'Ease in and out', css: 'ease-in-out' },
+    linear: { label: 'Linear', css: 'linear' },
+    overshoot: { label: 'Overshoot', css: 'cubic-bezier(0.34, 1.56, 0.64, 1)' }
+};
+
+export const DEFAULT_ANIMATION_DURATION = 200;
+
+/** @type {WeakMap<HTMLElement, number>} Pending end-of-animation timers per element */
+const cleanupTimers = new WeakMap();
+
+/**
+ * Read the animation configuration. Animations are off when disabled in the
+ * settings or when the user asked the OS for reduced motion.
+ * @returns {{enabled: boolean, duration: number, easing: string}}
+ */
+export function getAnimationConfig() {
+    const duration = Number(getSetting('animationDuration', DEFAULT_ANIMATION_DURATION));
+    const easing = ANIMATION_EASINGS[getSetting('animationEasing', 'ease-out')] ?? ANIMATION_EASINGS['ease-out'];
+    const reducedMotion = !!globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    return {
+        enabled: !!getSetting('animateWindows', true) && !reducedMotion && Number.isFinite(duration) && duration > 0,
+        duration: Number.isFinite(duration) ? duration : DEFAULT_ANIMATION_DURATION,
+        easing: easing.css
+    };
+}
+
+/**
+ * Run a position change on a window element with the transition switched on
+ * @param {HTMLElement} element - The window element
+ * @param {Function} apply - Applies the new position (calls setPosition)
+ * @param {{duration: number, easing: string}} config
+ */
+export function animatePosition(element, apply, { duration, easing }) {
+    clearTimeout(cleanupTimers.get(element));
+    element.style.setProperty('--wm-animation-duration', `${duration}ms`);
+    element.style.setProperty('--wm-animation-easing', easing);
+    element.classList.add('wm-animating');
+
+    apply();
+
+    // Not transitionend: it never fires when the position did not change
+    cleanupTimers.set(element, setTimeout(() => stopAnimation(element), duration + 50));
+}
+
+/**
+ * Switch the transition off again, jumping to the current target position
+ * @param {HTMLElement} element - The window element
+ */
+export function stopAnimation(element) {
+    clearTimeout(cleanupTimers.get(element));
+    cleanupTimers.delete(element);
+    element.classList.remove('wm-animating');
+    element.style.removeProperty('--wm-animation-duration');
+    element.style.removeProperty('--wm-animation-easing');
+}
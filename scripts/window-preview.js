@@ -0,0 +1,88 @@
+/**
+ * Live window preview - renders a copy of the dragged window inside the snap
+ * highlight at the size of the target zone, so the sheet's reflow is visible
+ * before the window is dropped. The copy is a plain DOM clone: inert, without
+ * ids, and rebuilt only when a different window is previewed.
+ */
+
+import { getSetting } from './settings.js';
+
+export class WindowPreview {
+    /**
+     * @param {import('./snap-layouter.js').SnapLayouter} layouter
+     */
+    constructor(layouter) {
+        this.layouter = layouter;
+        /** @type {Application|ApplicationV2|null} Window the current clone was made from */
+        this.app = null;
+        /** @type {HTMLElement|null} Wrapper holding the clone */
+        this.element = null;
+    }
+
+    /**
+     * Show the preview of a window inside the highlight
+     * @param {Application|ApplicationV2} app - The window being placed
+     * @param {{x: number, y: number, w: number, h: number}} rect - Target zone rect
+     */
+    show(app, rect) {
+        if (!getSetting('livePreview', true)) {
+            this.reset();
+            return;
+        }
+        if (app !== this.app || !this.element) {
+            this.reset();
+            this.element = this.createClone(app);
+            if (!this.element) return;
+            this.app = app;
+        }
+        if (this.element.parentNode !== this.layouter.highlight) {
+            this.layouter.highlight.appendChild(this.element);
+        }
+
+        // Laid out at the real zone size so the content reflows like it will after the drop
+        const clone = this.element.firstElementChild;
+        clone.style.width = `${rect.w}px`;
+        clone.style.height = `${rect.h}px`;
+    }
+
+    /**
+     * Copy a window's element for the preview
+     * @param {Application|ApplicationV2} app
+     * @returns {HTMLElement|null} - The wrapper, or null if the window has no element
+     */
+    createClone(app) {
+        const source = this.layouter.getAppElement(app);
+        if (!source?.isConnected) return null;
+
+        const clone = source.cloneNode(true);
+        // Duplicate ids would confuse Foundry's lookups and label/for pairs
+        clone.removeAttribute('id');
+        clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+        clone.removeAttribute('data-appid');
+        clone.setAttribute('inert', '');
+        clone.setAttribute('aria-hidden', 'true');
+        clone.classList.add('wm-preview-window');
+        Object.assign(clone.style, {
+            position: 'absolute',
+            left: '0',
+            top: '0',
+            margin: '0',
+            transform: 'none',
+            zIndex: 'auto'
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'wm-preview';
+        wrapper.appendChild(clone);
+        return wrapper;
+    }
+
+    /**
+     * Remove the preview and forget its clone
+     */
+    reset() {
+        this.element?.remove();
+        this.element = null;
+        this.app = null;
+    }
+}
@@ -2,6 +2,9 @@
  * Registry for tracking snapped window states globally.
  * Stores original positions of snapped windows keyed by application ID.
  * Survives individual window closes to enable restore-all functionality.
+ * States of document windows are also persisted across reloads (see
+ * serialize() and hydrate()); the storage itself is up to the owner, which
+ * is told about every change through onChange.
  */
 
 // Debug logging system - conditional console logging for performance
@@ -36,6 +39,15 @@ export class WindowStateRegistry {
     constructor() {
         /** @type {Map<string, WindowState>} */
         this.states = new Map();
+        /** @type {Function|null} Called after every change, e.g. to persist the registry */
+        this.onChange = null;
+    }
+
+    /**
+     * Notify the owner that the registry changed
+     */
+    changed() {
+        this.onChange?.();
     }
 
     /**
@@ -96,8 +108,33 @@ export class WindowStateRegistry {
             isOpen: true
         };
 
+        // A closed state of the same document (e.g. from before a reload) is
+        // superseded, so Restore All does not reopen the document twice
+        if (state.documentInfo) {
+            for (const [otherKey, other] of this.states) {
+                if (!other.isOpen && other.documentInfo?.uuid === state.documentInfo.uuid) {
+                    this.states.delete(otherKey);
+                }
+            }
+        }
+
         this.states.set(key, state);
         debugLog(`Registered snap state for ${key}`, state);
+        this.changed();
+    }
+
+    /**
+     * Update the zone of an already registered window (e.g. when a snapped
+     * window is dropped into a different zone). The original position is kept.
+     * @param {Application|ApplicationV2} app
+     * @param {ZoneInfo} zoneInfo
+     */
+    updateZoneInfo(app, zoneInfo) {
+        const state = this.getState(app);
+        if (!state) return;
+        state.zoneInfo = { ...zoneInfo };
+        debugLog(`Updated zone for ${state.appKey}`, zoneInfo);
+        this.changed();
     }
 
     /**
@@ -136,11 +173,13 @@ export class WindowStateRegistry {
         if (!state.documentInfo) {
             this.states.delete(key);
             debugLog(`Removed unrecoverable snap state for ${key}`);
+            this.changed();
             return;
         }
 
         state.isOpen = false;
         debugLog(`Marked ${key} as closed`);
+        this.changed();
     }
 
     /**
@@ -152,6 +191,7 @@ export class WindowStateRegistry {
         const state = this.states.get(key);
         if (state) {
             state.isOpen = true;
+            this.changed();
         }
     }
 
@@ -161,8 +201,10 @@ export class WindowStateRegistry {
      */
     removeState(app) {
         const key = this.getAppKey(app);
-        this.states.delete(key);
-        debugLog(`Removed snap state for ${key}`);
+        if (this.states.delete(key)) {
+            debugLog(`Removed snap state for ${key}`);
+            this.changed();
+        }
     }
 
     /**
@@ -170,7 +212,7 @@ export class WindowStateRegistry {
      * @param {string} key
      */
     removeStateByKey(key) {
-        this.states.delete(key);
+        if (this.states.delete(key)) this.changed();
     }
 
     /**
@@ -236,6 +278,57 @@ export class WindowStateRegistry {
         const count = this.states.size;
         this.states.clear();
         debugLog(`Cleared ${count} snap states`);
+        this.changed();
+    }
+
+    /**
+     * Serialise the states that can survive a reload. Only document windows
+     * can be reopened afterwards, so the others are left out.
+     * @returns {PersistedState[]}
+     */
+    serialize() {
+        return this.getAllStatesArray()
+            .filter(state => state.documentInfo?.uuid)
+            .map(({ appClass, originalPosition, zoneInfo, documentInfo, snappedAt }) => ({
+                appClass,
+                originalPosition: { ...originalPosition },
+                zoneInfo: zoneInfo ? { ...zoneInfo } : null,
+                documentInfo: { ...documentInfo },
+                snappedAt
+            }));
+    }
+
+    /**
+     * Load states persisted by an earlier session. Their windows are gone, so
+     * they come back closed, keyed by document, ready for Restore All.
+     * Does not call onChange.
+     * @param {PersistedState[]} entries
+     * @returns {number} - Number of states loaded
+     */
+    hydrate(entries) {
+        let count = 0;
+        for (const entry of Array.isArray(entries) ? entries : []) {
+            const uuid = entry?.documentInfo?.uuid;
+            if (typeof uuid !== 'string' || !entry.originalPosition) continue;
+
+            // Instance keys restart with every session, so they cannot be reused
+            const key = `restored:${uuid}`;
+            const snappedAt = Number(entry.snappedAt) || 0;
+            if ((this.states.get(key)?.snappedAt ?? -1) > snappedAt) continue;
+
+            this.states.set(key, {
+                appKey: key,
+                appClass: entry.appClass ?? '',
+                originalPosition: { ...entry.originalPosition },
+                zoneInfo: entry.zoneInfo ? { ...entry.zoneInfo } : null,
+                documentInfo: { uuid, documentName: entry.documentInfo.documentName },
+                snappedAt,
+                isOpen: false
+            });
+            count++;
+        }
+        debugLog(`Hydrated ${count} persisted snap states`);
+        return count;
     }
 }
 
@@ -269,3 +362,12 @@ export class WindowStateRegistry {
  * @property {number} snappedAt - Timestamp when snapped
  * @property {boolean} isOpen - Whether the window is currently open
  */
+
+/**
+ * @typedef {Object} PersistedState
+ * @property {string} appClass - The application class name
+ * @property {Position} originalPosition - Position before snapping
+ * @property {ZoneInfo|null} zoneInfo - Which zone the window was snapped to
+ * @property {DocumentInfo} documentInfo - Document info for re-opening
+ * @property {number} snappedAt - Timestamp when snapped
+ */
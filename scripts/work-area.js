@@ -0,0 +1,153 @@
+/**
+ * Work area calculation.
+ *
+ * The work area is the part of the viewport that snapped windows may use.
+ * Each Foundry UI region that the user chose to keep free (sidebar, scene
+ * controls, hotbar, players list) is cut away from the edge it is docked to.
+ * Measurements come from the live DOM, so collapsing the sidebar or hiding
+ * the hotbar is reflected the next time the work area is calculated.
+ *
+ * Inside the work area, part of the screen can additionally be reserved for
+ * the scene canvas. Layouts are then computed in the remaining layout area.
+ */
+
+// Smallest work area we accept before falling back to the full viewport.
+// Protects against odd UI states (e.g. a popped-out sidebar spanning the screen).
+const MIN_WORK_AREA_SIZE = 300;
+
+/**
+ * Foundry UI regions that can be reserved.
+ * `selector` covers both v12 and v13+ element ids, `edge` is the viewport
+ * edge the region is docked to and therefore shrinks.
+ * @type {Array<{key: string, setting: string, label: string, selector: string, edge: 'left'|'right'|'top'|'bottom'}>}
+ */
+export const WORK_AREA_REGIONS = [
+    { key: 'sidebar', setting: 'workAreaSidebar', label: 'Sidebar', selector: '#sidebar', edge: 'right' },
+    { key: 'controls', setting: 'workAreaControls', label: 'Scene Controls', selector: '#controls, #scene-controls', edge: 'left' },
+    { key: 'hotbar', setting: 'workAreaHotbar', label: 'Hotbar', selector: '#hotbar', edge: 'bottom' },
+    { key: 'players', setting: 'workAreaPlayers', label: 'Players List', selector: '#players', edge: 'bottom' }
+];
+
+/**
+ * Get the on-screen rect of an element, or null if it is not rendered
+ * @param {HTMLElement|null} element
+ * @returns {DOMRect|null}
+ */
+function getVisibleRect(element) {
+    if (!element) return null;
+    const style = window.getComputedStyle(element);
+    if (style.display === 'none' || style.visibility === 'hidden') return null;
+    const rect = element.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return null;
+    return rect;
+}
+
+/**
+ * Get the full viewport as a rect
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function getViewportRect() {
+    return { x: 0, y: 0, w: window.innerWidth, h: window.innerHeight };
+}
+
+/**
+ * Calculate the work area left over after reserving UI regions
+ * @param {string[]} reservedKeys - Keys from WORK_AREA_REGIONS to keep free
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function calculateWorkArea(reservedKeys) {
+    const viewWidth = window.innerWidth;
+    const viewHeight = window.innerHeight;
+    let left = 0;
+    let top = 0;
+    let right = viewWidth;
+    let bottom = viewHeight;
+
+    for (const region of WORK_AREA_REGIONS) {
+        if (!reservedKeys.includes(region.key)) continue;
+        const rect = getVisibleRect(document.querySelector(region.selector));
+        if (!rect) continue;
+
+        // Only cut the region away if it actually sits at its edge - a region
+        // moved elsewhere by another module shouldn't swallow half the screen.
+        switch (region.edge) {
+            case 'left':
+                if (rect.left < viewWidth / 2) left = Math.max(left, rect.right);
+                break;
+            case 'right':
+                if (rect.right > viewWidth / 2) right = Math.min(right, rect.left);
+                break;
+            case 'top':
+                if (rect.top < viewHeight / 2) top = Math.max(top, rect.bottom);
+                break;
+            case 'bottom':
+                if (rect.bottom > viewHeight / 2) bottom = Math.min(bottom, rect.top);
+                break;
+        }
+    }
+
+    if (right - left < MIN_WORK_AREA_SIZE || bottom - top < MIN_WORK_AREA_SIZE) {
+        return getViewportRect();
+    }
+
+    return {
+        x: Math.round(left),
+        y: Math.round(top),
+        w: Math.round(right - left),
+        h: Math.round(bottom - top)
+    };
+}
+
+/**
+ * Sides of the work area the canvas reservation can be docked to
+ * @type {Record<string, string>}
+ */
+export const CANVAS_RESERVATION_SIDES = {
+    none: 'Off',
+    left: 'Left',
+    right: 'Right',
+    top: 'Top',
+    bottom: 'Bottom'
+};
+
+/**
+ * Split a work area into the canvas reservation and the area left for layouts
+ * @param {{x: number, y: number, w: number, h: number}} area - The work area
+ * @param {{side: string, fraction: number}|null} reservation - Side and share
+ *   (0-1) of the work area kept free for the canvas
+ * @returns {{layoutArea: {x: number, y: number, w: number, h: number}, canvasArea: {x: number, y: number, w: number, h: number}|null}}
+ */
+export function splitCanvasReservation(area, reservation) {
+    if (!reservation || !(reservation.fraction > 0 && reservation.fraction < 1)) {
+        return { layoutArea: { ...area }, canvasArea: null };
+    }
+
+    const { side, fraction } = reservation;
+    const horizontal = side === 'left' || side === 'right';
+    const reserved = Math.round((horizontal ? area.w : area.h) * fraction);
+
+    switch (side) {
+        case 'left':
+            return {
+                canvasArea: { x: area.x, y: area.y, w: reserved, h: area.h },
+                layoutArea: { x: area.x + reserved, y: area.y, w: area.w - reserved, h: area.h }
+            };
+        case 'right':
+            return {
+                canvasArea: { x: area.x + area.w - reserved, y: area.y, w: reserved, h: area.h },
+                layoutArea: { x: area.x, y: area.y, w: area.w - reserved, h: area.h }
+            };
+        case 'top':
+            return {
+                canvasArea: { x: area.x, y: area.y, w: area.w, h: reserved },
+                layoutArea: { x: area.x, y: area.y + reserved, w: area.w, h: area.h - reserved }
+            };
+        case 'bottom':
+            return {
+                canvasArea: { x: area.x, y: area.y + area.h - reserved, w: area.w, h: reserved },
+                layoutArea: { x: area.x, y: area.y, w: area.w, h: area.h - reserved }
+            };
+        default:
+            return { layoutArea: { ...area }, canvasArea: null };
+    }
+}
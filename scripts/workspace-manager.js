@@ -0,0 +1,295 @@
+/**
+ * Workspace Manager - settings menu application to save the current window
+ * arrangement as a named workspace, to restore, update, rename or delete
+ * saved workspaces and to link them to scenes (see workspaces.js). Saving
+ * and restoring go through the module API, which has access to the layouter.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { getWorkspaces, renameWorkspace, deleteWorkspace, getSceneWorkspaceLinks, linkSceneWorkspace } from './workspaces.js';
+
+const { ApplicationV2, DialogV2 } = foundry.applications.api;
+
+/**
+ * Escape a string for safe insertion into HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+/**
+ * Get the module API
+ * @returns {Object|undefined}
+ */
+function getApi() {
+    return game.modules.get(MODULE_ID)?.api;
+}
+
+/**
+ * Report the outcome of restoring a workspace
+ * @param {string} name
+ * @param {{arranged: number, reopened: number, skipped: number}} summary
+ */
+export function notifyWorkspaceApplied(name, { arranged, reopened, skipped }) {
+    const parts = [`${arranged} window(s) arranged`];
+    if (reopened > 0) parts.push(`${reopened} reopened`);
+    if (skipped > 0) parts.push(`${skipped} could not be opened`);
+    const message = `Window Maximizer | Workspace "${name}": ${parts.join(', ')}`;
+    if (arranged === 0 && skipped > 0) ui.notifications.warn(message);
+    else ui.notifications.info(message);
+}
+
+export class WorkspaceManager extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: 'window-maximizer-workspaces',
+        classes: ['window-maximizer-workspaces'],
+        window: {
+            title: 'Window Maximizer: Workspaces',
+            icon: 'fas fa-object-group',
+            resizable: true
+        },
+        position: {
+            width: 560,
+            height: 'auto'
+        },
+        actions: {
+            saveWorkspace: WorkspaceManager.#onSaveWorkspace,
+            applyWorkspace: WorkspaceManager.#onApplyWorkspace,
+            updateWorkspace: WorkspaceManager.#onUpdateWorkspace,
+            deleteWorkspace: WorkspaceManager.#onDeleteWorkspace
+        }
+    };
+
+    /** @override */
+    async _renderHTML(context, options) {
+        const root = document.createElement('div');
+        root.className = 'wm-workspaces';
+
+        const hint = document.createElement('p');
+        hint.className = 'hint';
+        hint.textContent = 'A workspace remembers which document windows are open, the zone or position of each and their order. '
+            + 'Restoring it reopens closed windows and puts every window back in place.';
+        root.appendChild(hint);
+
+        const create = document.createElement('div');
+        create.className = 'wm-workspaces-create';
+        create.innerHTML = `
+            <input type="text" name="newName" placeholder="Workspace name, e.g. Combat">
+            <button type="button" data-action="saveWorkspace"><i class="fas fa-save"></i> Save Current Windows</button>`;
+        root.appendChild(create);
+
+        const workspaces = getWorkspaces();
+        if (workspaces.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'wm-workspaces-empty';
+            empty.textContent = 'No workspaces saved yet.';
+            root.appendChild(empty);
+            return root;
+        }
+
+        const table = document.createElement('table');
+        table.innerHTML = `
+            <thead>
+                <tr><th>Name</th><th>Windows</th><th>Saved</th><th></th></tr>
+            </thead>`;
+        const body = document.createElement('tbody');
+
+        for (const workspace of workspaces) {
+            const row = document.createElement('tr');
+            row.dataset.workspaceId = workspace.id;
+
+            const nameCell = document.createElement('td');
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.name = 'name';
+            name.value = workspace.name;
+            name.setAttribute('aria-label', 'Workspace name');
+            nameCell.appendChild(name);
+
+            const count = document.createElement('td');
+            count.textContent = String(workspace.windows?.length ?? 0);
+
+            const saved = document.createElement('td');
+            saved.textContent = new Date(workspace.savedAt).toLocaleString();
+
+            const controls = document.createElement('td');
+            controls.className = 'wm-workspaces-controls';
+            controls.innerHTML = `
+                <button type="button" data-action="applyWorkspace" data-tooltip="Restore"><i class="fas fa-play"></i></button>
+                <button type="button" data-action="updateWorkspace" data-tooltip="Replace with current windows"><i class="fas fa-rotate"></i></button>
+                <button type="button" data-action="deleteWorkspace" data-tooltip="Delete"><i class="fas fa-trash"></i></button>`;
+
+            row.append(nameCell, count, saved, controls);
+            body.appendChild(row);
+        }
+
+        table.appendChild(body);
+        root.appendChild(table);
+
+        if (game.scenes?.size > 0) root.appendChild(this.#renderSceneLinks(workspaces));
+        return root;
+    }
+
+    /**
+     * Build the table linking scenes to workspaces
+     * @param {Array<Object>} workspaces
+     * @returns {HTMLElement}
+     */
+    #renderSceneLinks(workspaces) {
+        const links = getSceneWorkspaceLinks();
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'wm-workspaces-scenes';
+
+        const legend = document.createElement('legend');
+        legend.textContent = 'Scenes';
+        const hint = document.createElement('p');
+        hint.className = 'hint';
+        hint.textContent = 'When the GM activates a scene, switch to the workspace linked to it.';
+        fieldset.append(legend, hint);
+
+        const list = document.createElement('div');
+        list.className = 'wm-workspaces-scene-list';
+        for (const scene of game.scenes) {
+            const label = document.createElement('label');
+            label.textContent = scene.name;
+
+            const select = document.createElement('select');
+            select.name = 'sceneWorkspace';
+            select.dataset.sceneId = scene.id;
+            select.appendChild(new Option('No workspace', ''));
+            for (const workspace of workspaces) {
+                select.appendChild(new Option(workspace.name, workspace.id, false, links[scene.id] === workspace.id));
+            }
+            label.appendChild(select);
+            list.appendChild(label);
+        }
+        fieldset.appendChild(list);
+        return fieldset;
+    }
+
+    /** @override */
+    _replaceHTML(result, content, options) {
+        content.replaceChildren(result);
+    }
+
+    /** @override */
+    _onRender(context, options) {
+        super._onRender?.(context, options);
+
+        for (const input of this.element.querySelectorAll('tr[data-workspace-id] input[name="name"]')) {
+            input.addEventListener('change', async (event) => {
+                const id = event.target.closest('tr').dataset.workspaceId;
+                if (!await renameWorkspace(id, event.target.value)) {
+                    ui.notifications.warn('Window Maximizer | A workspace needs a name');
+                }
+                this.render();
+            });
+        }
+
+        for (const select of this.element.querySelectorAll('select[name="sceneWorkspace"]')) {
+            select.addEventListener('change', (event) => {
+                linkSceneWorkspace(event.target.dataset.sceneId, event.target.value || null);
+            });
+        }
+
+        this.element.querySelector('input[name="newName"]')?.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            this.element.querySelector('[data-action="saveWorkspace"]')?.click();
+        });
+    }
+
+    /**
+     * Get the id of the workspace row a button belongs to
+     * @param {HTMLElement} target
+     * @returns {string|undefined}
+     */
+    static #getWorkspaceId(target) {
+        return target.closest('tr[data-workspace-id]')?.dataset.workspaceId;
+    }
+
+    /**
+     * Save the current windows as a new workspace
+     * @this {WorkspaceManager}
+     */
+    static async #onSaveWorkspace(event, target) {
+        const name = this.element.querySelector('input[name="newName"]')?.value.trim();
+        if (!name) {
+            ui.notifications.warn('Window Maximizer | Enter a name for the workspace');
+            return;
+        }
+
+        try {
+            const workspace = await getApi().saveWorkspace(name);
+            if (workspace.windows.length === 0) {
+                ui.notifications.warn(`Window Maximizer | Workspace "${workspace.name}" saved, but no document windows are open`);
+            } else {
+                ui.notifications.info(`Window Maximizer | Workspace "${workspace.name}" saved with ${workspace.windows.length} window(s)`);
+            }
+        } catch (error) {
+            ui.notifications.error(error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Restore a workspace
+     * @this {WorkspaceManager}
+     */
+    static async #onApplyWorkspace(event, target) {
+        const workspace = getWorkspaces().find(w => w.id === WorkspaceManager.#getWorkspaceId(target));
+        if (!workspace) return;
+
+        try {
+            const summary = await getApi().applyWorkspace(workspace.id);
+            if (summary) notifyWorkspaceApplied(workspace.name, summary);
+        } catch (error) {
+            ui.notifications.error(error.message);
+        }
+    }
+
+    /**
+     * Replace a workspace with the current windows
+     * @this {WorkspaceManager}
+     */
+    static async #onUpdateWorkspace(event, target) {
+        const workspace = getWorkspaces().find(w => w.id === WorkspaceManager.#getWorkspaceId(target));
+        if (!workspace) return;
+
+        const confirmed = await DialogV2.confirm({
+            window: { title: 'Update Workspace' },
+            content: `<p>Replace the workspace <strong>${escapeHtml(workspace.name)}</strong> with the windows that are open now?</p>`
+        });
+        if (!confirmed) return;
+
+        try {
+            await getApi().saveWorkspace(workspace.name, { id: workspace.id });
+            ui.notifications.info(`Window Maximizer | Workspace "${workspace.name}" updated`);
+        } catch (error) {
+            ui.notifications.error(error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Delete a workspace after confirmation
+     * @this {WorkspaceManager}
+     */
+    static async #onDeleteWorkspace(event, target) {
+        const workspace = getWorkspaces().find(w => w.id === WorkspaceManager.#getWorkspaceId(target));
+        if (!workspace) return;
+
+        const confirmed = await DialogV2.confirm({
+            window: { title: 'Delete Workspace' },
+            content: `<p>Delete the workspace <strong>${escapeHtml(workspace.name)}</strong>?</p>`
+        });
+        if (!confirmed) return;
+
+        await deleteWorkspace(workspace.id);
+        this.render();
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * Named workspaces - saved arrangements of the open document windows, such
+ * as "Combat" or "Prep", restored with one click.
+ *
+ * Stored in the `workspaces` client setting:
+ *   [{
+ *     id, name, savedAt,
+ *     windows: [{ documentInfo: {uuid, documentName}, zoneInfo: {layoutId, zoneId}|null, position }]
+ *   }]
+ *
+ * Windows are listed bottom to top, so applying them in order restores the
+ * z-order. Each window is snapped back into its zone; its position is used
+ * for free windows and when the zone is not offered on the current screen.
+ * Only windows showing a document are saved, since nothing else can be
+ * reopened.
+ *
+ * Workspaces can be linked to scenes in the `sceneWorkspaces` client setting
+ * ({sceneId: workspaceId}); the linked workspace is applied when the GM
+ * activates the scene.
+ */
+
+import { MODULE_ID, getSetting } from './settings.js';
+
+// Debug logging system - conditional console logging for performance
+// Uses FoundryVTT game setting for runtime configurability
+function debugLog(...args) {
+    // Safety check: ensure game and settings are available
+    if (!game?.settings) return;
+
+    try {
+        if (game.settings.get('window-maximizer', 'debugMode')) {
+            console.log('Window Maximizer |', ...args);
+        }
+    } catch (error) {
+        // If setting doesn't exist yet, silently ignore (module initialization phase)
+        // This prevents errors during module load before settings are registered
+    }
+}
+
+/**
+ * Get all saved workspaces
+ * @returns {Workspace[]}
+ */
+export function getWorkspaces() {
+    const workspaces = getSetting('workspaces', []);
+    return Array.isArray(workspaces) ? workspaces : [];
+}
+
+/**
+ * Find a workspace by id, or else by name (case-insensitive)
+ * @param {string} idOrName
+ * @returns {Workspace|undefined}
+ */
+export function getWorkspace(idOrName) {
+    const workspaces = getWorkspaces();
+    const name = String(idOrName ?? '').trim().toLowerCase();
+    return workspaces.find(w => w.id === idOrName) ?? workspaces.find(w => w.name.toLowerCase() === name);
+}
+
+/**
+ * Write the workspace list
+ * @param {Workspace[]} workspaces
+ */
+async function storeWorkspaces(workspaces) {
+    await game.settings.set(MODULE_ID, 'workspaces', workspaces);
+}
+
+/**
+ * Record the open document windows, bottom to top
+ * @param {import('./snap-layouter.js').SnapLayouter} layouter
+ * @returns {WorkspaceWindow[]}
+ */
+export function captureWorkspace(layouter) {
+    const apps = new Set([
+        ...Object.values(ui.windows ?? {}),
+        ...(foundry?.applications?.instances?.values() ?? [])
+    ]);
+
+    const captured = [];
+    for (const app of apps) {
+        const element = layouter.getAppElement(app);
+        if (!element?.isConnected || app.minimized || app._minimized) continue;
+        const documentInfo = layouter.registry.extractDocumentInfo(app);
+        if (!documentInfo) continue;
+
+        const { left, top, width, height } = app.position ?? {};
+        const zoneInfo = layouter.appStateMap.get(app)?.zoneInfo;
+        captured.push({
+            entry: {
+                documentInfo,
+                zoneInfo: zoneInfo ? { layoutId: zoneInfo.layoutId, zoneId: zoneInfo.zoneId } : null,
+                position: { left, top, width, height }
+            },
+            zIndex: Number.parseInt(getComputedStyle(element).zIndex, 10) || 0
+        });
+    }
+
+    // One entry per document; the topmost window of a document wins
+    captured.sort((a, b) => b.zIndex - a.zIndex);
+    const seen = new Set();
+    const windows = [];
+    for (const { entry } of captured) {
+        if (seen.has(entry.documentInfo.uuid)) continue;
+        seen.add(entry.documentInfo.uuid);
+        windows.unshift(entry);
+    }
+    return windows;
+}
+
+/**
+ * Save the current arrangement as a workspace
+ * @param {import('./snap-layouter.js').SnapLayouter} layouter
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} [options.id] - Overwrite this workspace instead of adding one
+ * @returns {Promise<Workspace>}
+ * @throws {Error} If the name is empty or the workspace to overwrite does not exist
+ */
+export async function saveWorkspace(layouter, name, { id } = {}) {
+    const workspaces = getWorkspaces();
+    const existing = id ? workspaces.find(w => w.id === id) : null;
+    if (id && !existing) throw new Error(`Window Maximizer | Unknown workspace "${id}"`);
+
+    const label = String(name ?? existing?.name ?? '').trim();
+    if (!label) throw new Error('Window Maximizer | A workspace needs a name');
+
+    const workspace = {
+        id: existing?.id ?? foundry.utils.randomID(8),
+        name: label,
+        savedAt: Date.now(),
+        windows: captureWorkspace(layouter)
+    };
+    await storeWorkspaces(existing
+        ? workspaces.map(w => (w.id === existing.id ? workspace : w))
+        : [...workspaces, workspace]);
+    debugLog(`Saved workspace "${label}" with ${workspace.windows.length} window(s)`);
+    return workspace;
+}
+
+/**
+ * Rename a workspace
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<boolean>} - True if the workspace exists and the name is not empty
+ */
+export async function renameWorkspace(id, name) {
+    const label = String(name ?? '').trim();
+    const workspaces = getWorkspaces();
+    if (!label || !workspaces.some(w => w.id === id)) return false;
+    await storeWorkspaces(workspaces.map(w => (w.id === id ? { ...w, name: label } : w)));
+    return true;
+}
+
+/**
+ * Delete a workspace
+ * @param {string} id
+ * @returns {Promise<boolean>} - True if a workspace was deleted
+ */
+export async function deleteWorkspace(id) {
+    const workspaces = getWorkspaces();
+    const remaining = workspaces.filter(w => w.id !== id);
+    if (remaining.length === workspaces.length) return false;
+    await storeWorkspaces(remaining);
+
+    // Scenes linked to it go back to leaving the windows alone
+    const links = getSceneWorkspaceLinks();
+    const kept = Object.fromEntries(Object.entries(links).filter(([, workspaceId]) => workspaceId !== id));
+    if (Object.keys(kept).length !== Object.keys(links).length) {
+        await game.settings.set(MODULE_ID, 'sceneWorkspaces', kept);
+    }
+    return true;
+}
+
+/**
+ * Get the scene to workspace links
+ * @returns {Record<string, string>} - Workspace ids keyed by scene id
+ */
+export function getSceneWorkspaceLinks() {
+    const links = getSetting('sceneWorkspaces', {});
+    return links && typeof links === 'object' && !Array.isArray(links) ? links : {};
+}
+
+/**
+ * Get the workspace linked to a scene
+ * @param {string} sceneId
+ * @returns {Workspace|undefined}
+ */
+export function getSceneWorkspace(sceneId) {
+    const workspaceId = getSceneWorkspaceLinks()[sceneId];
+    return workspaceId ? getWorkspaces().find(w => w.id === workspaceId) : undefined;
+}
+
+/**
+ * Link a workspace to a scene, or remove the link
+ * @param {string} sceneId
+ * @param {string|null} workspaceId - null to unlink
+ */
+export async function linkSceneWorkspace(sceneId, workspaceId) {
+    const links = { ...getSceneWorkspaceLinks() };
+    if (workspaceId) links[sceneId] = workspaceId;
+    else delete links[sceneId];
+    await game.settings.set(MODULE_ID, 'sceneWorkspaces', links);
+}
+
+/**
+ * Find the open window of a document
+ * @param {import('./snap-layouter.js').SnapLayouter} layouter
+ * @param {string} uuid
+ * @returns {Application|ApplicationV2|null}
+ */
+function findDocumentWindow(layouter, uuid) {
+    const apps = [
+        ...Object.values(ui.windows ?? {}),
+        ...(foundry?.applications?.instances?.values() ?? [])
+    ];
+    return apps.find(app => layouter.getAppElement(app)?.isConnected
+        && layouter.registry.extractDocumentInfo(app)?.uuid === uuid) ?? null;
+}
+
+/**
+ * Put a window where the workspace has it: into its zone, or at its position
+ * @param {import('./snap-layouter.js').SnapLayouter} layouter
+ * @param {Application|ApplicationV2} app
+ * @param {WorkspaceWindow} entry
+ */
+function arrangeWindow(layouter, app, entry) {
+    if (typeof app.bringToFront === 'function') app.bringToFront();
+    else if (typeof app.bringToTop === 'function') app.bringToTop();
+
+    const { zoneInfo } = entry;
+    const rect = zoneInfo ? layouter.calculateZoneRect(zoneInfo.layoutId, zoneInfo.zoneId) : null;
+    if (rect) {
+        layouter.snapApp(app, rect, { ...zoneInfo }, 'workspace');
+        return;
+    }
+
+    // Free window, or its zone is not offered on this screen
+    layouter.releaseApp(app);
+    layouter.setAppPosition(app, layouter.clampPositionToWorkArea(entry.position));
+}
+
+/**
+ * Restore a workspace: reopen its windows that are closed and put every
+ * window back into its zone or position. Other open windows are left alone.
+ * @param {import('./snap-layouter.js').SnapLayouter} layouter
+ * @param {string} idOrName
+ * @returns {Promise<{arranged: number, reopened: number, skipped: number, total: number}|null>} -
+ *   null if there is no such workspace
+ */
+export async function applyWorkspace(layouter, idOrName) {
+    const workspace = getWorkspace(idOrName);
+    if (!workspace) return null;
+
+    let arranged = 0;
+    let reopened = 0;
+    let skipped = 0;
+    for (const entry of workspace.windows ?? []) {
+        try {
+            const app = findDocumentWindow(layouter, entry.documentInfo?.uuid);
+            if (app) {
+                arrangeWindow(layouter, app, entry);
+                arranged++;
+                continue;
+            }
+
+            // Arranged as soon as it has rendered, which for a slow sheet may be
+            // after the rest of the workspace
+            const sheet = await layouter.openDocumentSheet(entry.documentInfo, undefined, (rendered) => {
+                try {
+                    arrangeWindow(layouter, rendered, entry);
+                } catch (error) {
+                    debugLog(`Failed to arrange ${entry.documentInfo?.uuid}:`, error);
+                }
+            });
+            if (!sheet) {
+                skipped++;
+                continue;
+            }
+            reopened++;
+            arranged++;
+        } catch (error) {
+            debugLog(`Failed to arrange ${entry.documentInfo?.uuid}:`, error);
+            skipped++;
+        }
+    }
+
+    const summary = { arranged, reopened, skipped, total: workspace.windows?.length ?? 0 };
+    debugLog(`Applied workspace "${workspace.name}"`, summary);
+    return summary;
+}
+
+/**
+ * @typedef {Object} WorkspaceWindow
+ * @property {import('./window-state-registry.js').DocumentInfo} documentInfo - Document to reopen
+ * @property {import('./window-state-registry.js').ZoneInfo|null} zoneInfo - Zone the window was snapped into
+ * @property {import('./window-state-registry.js').Position} position - Position of the window
+ */
+
+/**
+ * @typedef {Object} Workspace
+ * @property {string} id
+ * @property {string} name
+ * @property {number} savedAt - Timestamp of the last save
+ * @property {WorkspaceWindow[]} windows - Bottom to top
+ */
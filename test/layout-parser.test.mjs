@@ -0,0 +1,49 @@
+/**
+ * The layout parser and schema must load without Foundry. Run with:
+ *   node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseLayoutSpec, parseLayoutList, LayoutSyntaxError } from '../scripts/layout-parser.js';
+import { validateLayout } from '../scripts/layout-schema.js';
+
+test('grid form gives column weights and one zone per cell', () => {
+    const layout = parseLayoutSpec('2fr 1fr | 1fr 1fr');
+    assert.equal(layout.cols, 2);
+    assert.equal(layout.rows, 2);
+    assert.deepEqual(layout.colWeights, [2, 1]);
+    assert.equal(layout.zones.length, 4);
+    assert.deepEqual(layout.zones[3], { id: 'r1c1', col: 1, row: 1 });
+});
+
+test('clause form matches the grid form', () => {
+    const layout = parseLayoutSpec('cols:1,2,1;rows:2');
+    assert.equal(layout.cols, 3);
+    assert.equal(layout.rows, 2);
+    assert.deepEqual(layout.colWeights, [1, 2, 1]);
+});
+
+test('syntax errors carry their position', () => {
+    assert.throws(() => parseLayoutSpec('2fr x'), (error) => {
+        assert.ok(error instanceof LayoutSyntaxError);
+        assert.equal(error.position, 4);
+        return true;
+    });
+});
+
+test('layout lists keep labels and report errors against the full string', () => {
+    const { layouts, errors } = parseLayoutList('Wide = 2fr 1fr & cols:0');
+    assert.deepEqual(layouts.map(l => l.label), ['Wide']);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].position, 22);
+});
+
+test('parsed layouts pass validation, reserved ids do not', () => {
+    const layout = { id: 'wide', label: 'Wide', ...parseLayoutSpec('2fr 1fr') };
+    assert.deepEqual(validateLayout(layout), []);
+    for (const id of ['edge', 'grid']) {
+        assert.equal(validateLayout({ ...layout, id }).length, 1);
+    }
+});